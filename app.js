@@ -6,17 +6,22 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { TRUST_PROXY_HOPS } = require("./config");
 
 const { authenticateJWT } = require("./middleware/auth");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const searchRoutes = require("./routes/search");
+const adminRoutes = require("./routes/admin");
 
 const morgan = require("morgan");
 
 const app = express();
 
+app.set("trust proxy", TRUST_PROXY_HOPS);
+
 app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
@@ -26,6 +31,8 @@ app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/search", searchRoutes);
+app.use("/admin", adminRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -39,6 +46,8 @@ app.use(function (err, req, res, next) {
   const status = err.status || 500;
   const message = err.message;
 
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+
   return res.status(status).json({
     error: { message, status },
   });
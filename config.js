@@ -4,6 +4,8 @@
 
 require("dotenv").config();
 require("colors");
+const os = require("os");
+const path = require("path");
 
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
@@ -21,10 +23,72 @@ function getDatabaseUri() {
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+// Access tokens (JWTs) are short-lived; clients trade their refresh token
+// at POST /auth/refresh for a new pair when the access token expires
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS = +process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30;
+
+const PASSWORD_RESET_EXPIRES_MINUTES =
+    +process.env.PASSWORD_RESET_EXPIRES_MINUTES || 60;
+
+const EMAIL_VERIFICATION_EXPIRES_HOURS =
+    +process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || 48;
+
+// When true, users must verify their email before applying to jobs
+const REQUIRE_VERIFIED_EMAIL_TO_APPLY =
+    process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY === "true";
+
+// Failed logins are counted per username and per IP address; once either
+// reaches its limit, logins are locked out for LOGIN_LOCKOUT_BASE_SECONDS,
+// doubling with each further failure up to LOGIN_LOCKOUT_MAX_SECONDS. Counts
+// start over after LOGIN_FAILURE_WINDOW_MINUTES without a failure.
+const LOGIN_MAX_FAILURES_PER_USERNAME =
+    +process.env.LOGIN_MAX_FAILURES_PER_USERNAME || 5;
+const LOGIN_MAX_FAILURES_PER_IP = +process.env.LOGIN_MAX_FAILURES_PER_IP || 20;
+const LOGIN_LOCKOUT_BASE_SECONDS = +process.env.LOGIN_LOCKOUT_BASE_SECONDS || 30;
+const LOGIN_LOCKOUT_MAX_SECONDS = +process.env.LOGIN_LOCKOUT_MAX_SECONDS || 3600;
+const LOGIN_FAILURE_WINDOW_MINUTES =
+    +process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15;
+
+// Number of proxies (e.g. a load balancer) in front of the app, so the
+// client IP used for login throttling comes from X-Forwarded-For
+const TRUST_PROXY_HOPS = +process.env.TRUST_PROXY_HOPS || 0;
+
+// Value of one unit of each currency in US dollars, used to compare job
+// salaries in different currencies; set EXCHANGE_RATES to a JSON object
+// like this one to use other rates. Salaries in currencies missing here
+// never match salary filters.
+const EXCHANGE_RATES = process.env.EXCHANGE_RATES
+    ? JSON.parse(process.env.EXCHANGE_RATES)
+    : {
+      USD: 1,
+      EUR: 1.08,
+      GBP: 1.27,
+      CAD: 0.73,
+      AUD: 0.66,
+      JPY: 0.0067,
+      INR: 0.012,
+    };
+
+// Outgoing mail goes to files in this directory unless another transport
+// is plugged in (see helpers/mail.js); tests keep theirs out of the repo
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.local>";
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR
+    || (process.env.NODE_ENV === "test"
+        ? path.join(os.tmpdir(), "jobly-outbox-test")
+        : path.join(__dirname, "outbox"));
+
 console.log("Jobly Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+console.log("ACCESS_TOKEN_EXPIRES_IN".yellow, ACCESS_TOKEN_EXPIRES_IN);
+console.log("REFRESH_TOKEN_EXPIRES_DAYS".yellow, REFRESH_TOKEN_EXPIRES_DAYS);
+console.log("REQUIRE_VERIFIED_EMAIL_TO_APPLY".yellow, REQUIRE_VERIFIED_EMAIL_TO_APPLY);
+console.log("LOGIN_MAX_FAILURES_PER_USERNAME".yellow, LOGIN_MAX_FAILURES_PER_USERNAME);
+console.log("LOGIN_MAX_FAILURES_PER_IP".yellow, LOGIN_MAX_FAILURES_PER_IP);
+console.log("MAIL_OUTBOX_DIR".yellow, MAIL_OUTBOX_DIR);
+console.log("EXCHANGE_RATES".yellow, JSON.stringify(EXCHANGE_RATES));
 console.log("Database:".yellow, getDatabaseUri());
 console.log("---");
 
@@ -32,5 +96,19 @@ module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  EMAIL_VERIFICATION_EXPIRES_HOURS,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
+  LOGIN_MAX_FAILURES_PER_USERNAME,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  TRUST_PROXY_HOPS,
+  EXCHANGE_RATES,
+  MAIL_FROM,
+  MAIL_OUTBOX_DIR,
   getDatabaseUri,
 };
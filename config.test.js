@@ -6,17 +6,29 @@ describe("config can come from env", function () {
     process.env.PORT = "5000";
     process.env.DATABASE_URL = "other";
     process.env.NODE_ENV = "other";
+    process.env.ACCESS_TOKEN_EXPIRES_IN = "5m";
+    process.env.REFRESH_TOKEN_EXPIRES_DAYS = "7";
+    process.env.LOGIN_MAX_FAILURES_PER_USERNAME = "3";
+    process.env.EXCHANGE_RATES = '{"USD": 1, "EUR": 1.1}';
 
     const config = require("./config");
     expect(config.SECRET_KEY).toEqual("abc");
     expect(config.PORT).toEqual(5000);
     expect(config.getDatabaseUri()).toEqual("other");
     expect(config.BCRYPT_WORK_FACTOR).toEqual(12);
+    expect(config.ACCESS_TOKEN_EXPIRES_IN).toEqual("5m");
+    expect(config.REFRESH_TOKEN_EXPIRES_DAYS).toEqual(7);
+    expect(config.LOGIN_MAX_FAILURES_PER_USERNAME).toEqual(3);
+    expect(config.EXCHANGE_RATES).toEqual({ USD: 1, EUR: 1.1 });
 
     delete process.env.SECRET_KEY;
     delete process.env.PORT;
     delete process.env.BCRYPT_WORK_FACTOR;
     delete process.env.DATABASE_URL;
+    delete process.env.ACCESS_TOKEN_EXPIRES_IN;
+    delete process.env.REFRESH_TOKEN_EXPIRES_DAYS;
+    delete process.env.LOGIN_MAX_FAILURES_PER_USERNAME;
+    delete process.env.EXCHANGE_RATES;
 
     expect(config.getDatabaseUri()).toEqual("jobly");
     process.env.NODE_ENV = "test";
@@ -2,13 +2,171 @@
 
 /** Database setup for jobly. */
 
-const { Client } = require("pg");
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
 const { getDatabaseUri } = require("./config");
 
-const db = new Client({
-  connectionString: getDatabaseUri(),
-});
+/** Connections can drop (e.g. when the database restarts). Without an
+ * error listener that would crash the app; instead the pool throws the
+ * broken connection away and opens a new one for the next query. */
+function logConnectionError(err) {
+  console.error("Database connection lost:", err.message);
+}
 
-db.connect();
+/** Make a database handle over a new pool of connections, made with
+ * poolConfig (see pg's Pool). The app uses the one this module exports;
+ * more are for tests that need several connections at once.
+ *
+ * Returns { query, withTransaction, begin, useTransaction, end }
+ */
+function createDb(poolConfig) {
+  const pool = new Pool(poolConfig);
+  pool.on("error", logConnectionError);
+
+  /** The transaction that the current code is running in, if any, with its
+   * connection and savepoint depth; see withTransaction and begin. Code
+   * running outside withTransaction uses ambient, if set (see
+   * useTransaction). */
+  const transactions = new AsyncLocalStorage();
+  let ambient = null;
+
+  /* helper function for the transaction the current code is running in. */
+  function currentTransaction() {
+    return transactions.getStore() || ambient;
+  }
+
+  /* helper function that checks a connection out of the pool, logging rather
+     than crashing if it drops while checked out. Returns the connection and a
+     function to return it to the pool (passing an error throws it away). */
+  async function checkout() {
+    const client = await pool.connect();
+    client.on("error", logConnectionError);
+    return {
+      client,
+      release(err) {
+        client.removeListener("error", logConnectionError);
+        client.release(err);
+      },
+    };
+  }
+
+  /* helper function that waits until no other savepoint is open in outer, a
+     transaction, then claims it for a new one: savepoints on a connection
+     have to nest, so ones begun side by side take turns. Returns a function
+     that ends the turn. */
+  async function takeTurn(outer) {
+    let endTurn;
+    const turn = new Promise(resolve => endTurn = resolve);
+    const previous = outer.savepoints;
+    outer.savepoints = previous.then(() => turn);
+    await previous;
+    return endTurn;
+  }
+
+  const db = {
+    /** Run a query, in the current transaction if there is one (see
+     * withTransaction and useTransaction), otherwise on any free connection.
+     */
+    query(text, values) {
+      const transaction = currentTransaction();
+      return (transaction ? transaction.client : pool).query(text, values);
+    },
+
+    /** Run fn, an async function, in a transaction: db.query calls made by fn
+     * (however deeply) all go over the transaction's connection. If fn
+     * throws, everything it did is rolled back and the error rethrown.
+     *
+     * Inside another withTransaction, this makes a savepoint instead, so
+     * only fn's own changes are rolled back if it throws.
+     *
+     * Returns whatever fn returns.
+     */
+    async withTransaction(fn) {
+      const transaction = await db.begin();
+
+      let result;
+      try {
+        result = await transactions.run(transaction, fn);
+      } catch (err) {
+        await transaction.rollback();
+        throw err;
+      }
+      await transaction.commit();
+      return result;
+    },
+
+    /** Begin a transaction that is ended by hand, for work that can't be
+     * wrapped in one function, such as reading a cursor between yields. Run
+     * its queries with its query(), and end it with commit() or rollback(),
+     * which return its connection to the pool. If commit() fails, the
+     * transaction is rolled back.
+     *
+     * Inside withTransaction (or useTransaction), this makes a savepoint on
+     * its connection, waiting for any other savepoint begun there to end.
+     *
+     * Returns { query(text, values), commit(), rollback() }
+     */
+    async begin() {
+      const outer = currentTransaction();
+      const { client, release } = outer
+          ? { client: outer.client, release: await takeTurn(outer) }
+          : await checkout();
+
+      const depth = outer ? outer.depth + 1 : 0;
+      const statements = depth === 0
+          ? ["BEGIN", "COMMIT", "ROLLBACK"]
+          : [`SAVEPOINT tx_${depth}`,
+             `RELEASE SAVEPOINT tx_${depth}`,
+             `ROLLBACK TO SAVEPOINT tx_${depth}`];
+      try {
+        await client.query(statements[0]);
+      } catch (err) {
+        release(err);
+        throw err;
+      }
+
+      const transaction = {
+        client,
+        depth,
+        savepoints: Promise.resolve(),
+        query: (text, values) => client.query(text, values),
+        async commit() {
+          try {
+            await client.query(statements[1]);
+          } catch (err) {
+            await transaction.rollback();
+            throw err;
+          }
+          release();
+        },
+        async rollback() {
+          // a connection that can't roll back is broken, so isn't reused
+          const rollbackErr = await client.query(statements[2])
+              .then(() => undefined, e => e);
+          release(rollbackErr);
+        },
+      };
+      return transaction;
+    },
+
+    /** Run every query made outside withTransaction in transaction, one
+     * from begin, until called again with null. Tests use this to run each
+     * test in a transaction they roll back afterwards (see _testCommon).
+     */
+    useTransaction(transaction) {
+      ambient = transaction;
+    },
+
+    /** Close every connection, once the queries running on them finish. */
+    end() {
+      return pool.end();
+    },
+  };
+
+  return db;
+}
+
+const db = createDb({ connectionString: getDatabaseUri() });
+db.createDb = createDb;
 
 module.exports = db;
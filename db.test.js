@@ -0,0 +1,198 @@
+"use strict";
+
+const db = require("./db");
+const { getDatabaseUri } = require("./config");
+
+beforeAll(async function () {
+  await db.query("CREATE TABLE tx_test (n INTEGER)");
+});
+
+afterEach(async function () {
+  await db.query("DELETE FROM tx_test");
+});
+
+afterAll(async function () {
+  await db.query("DROP TABLE tx_test");
+  await db.end();
+});
+
+async function numbers() {
+  const result = await db.query("SELECT n FROM tx_test ORDER BY n");
+  return result.rows.map(r => r.n);
+}
+
+describe("withTransaction", function () {
+  test("works: commits and returns what fn returns", async function () {
+    const result = await db.withTransaction(async () => {
+      await db.query("INSERT INTO tx_test VALUES (1)");
+      await db.query("INSERT INTO tx_test VALUES (2)");
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await numbers()).toEqual([1, 2]);
+  });
+
+  test("works: rolls back and rethrows if fn throws", async function () {
+    try {
+      await db.withTransaction(async () => {
+        await db.query("INSERT INTO tx_test VALUES (1)");
+        throw new Error("oops");
+      });
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("oops");
+    }
+    expect(await numbers()).toEqual([]);
+  });
+
+  test("works: queries inside share the transaction's connection",
+      async function () {
+        const pids = await db.withTransaction(async () => {
+          const pid = () => db.query("SELECT pg_backend_pid() AS pid")
+              .then(r => r.rows[0].pid);
+          return Promise.all([pid(), pid()]);
+        });
+        expect(pids[0]).toEqual(pids[1]);
+      });
+
+  test("works: nested transactions roll back on their own",
+      async function () {
+        await db.withTransaction(async () => {
+          await db.query("INSERT INTO tx_test VALUES (1)");
+          await db.withTransaction(async () => {
+            await db.query("INSERT INTO tx_test VALUES (2)");
+            throw new Error("inner");
+          }).catch(() => {});
+          await db.query("INSERT INTO tx_test VALUES (3)");
+        });
+        expect(await numbers()).toEqual([1, 3]);
+      });
+
+  test("works: nested transactions side by side take turns",
+      async function () {
+        await db.withTransaction(() => Promise.allSettled([
+          db.withTransaction(async () => {
+            await db.query("INSERT INTO tx_test VALUES (1)");
+            await db.query("SELECT pg_sleep(0.01)");
+            throw new Error("inner");
+          }),
+          db.withTransaction(
+              () => db.query("INSERT INTO tx_test VALUES (2)")),
+        ]));
+        expect(await numbers()).toEqual([2]);
+      });
+
+  test("works: inside a transaction installed with useTransaction",
+      async function () {
+        const transaction = await db.begin();
+        db.useTransaction(transaction);
+        await db.withTransaction(async () => {
+          await db.query("INSERT INTO tx_test VALUES (1)");
+        });
+        expect(await numbers()).toEqual([1]);
+
+        db.useTransaction(null);
+        await transaction.rollback();
+        expect(await numbers()).toEqual([]);
+      });
+});
+
+describe("begin", function () {
+  test("works: commit", async function () {
+    const transaction = await db.begin();
+    await transaction.query("INSERT INTO tx_test VALUES (1)");
+    await transaction.commit();
+    expect(await numbers()).toEqual([1]);
+  });
+
+  test("works: rollback", async function () {
+    const transaction = await db.begin();
+    await transaction.query("INSERT INTO tx_test VALUES (1)");
+    await transaction.rollback();
+    expect(await numbers()).toEqual([]);
+  });
+
+  test("works: a savepoint inside withTransaction", async function () {
+    await db.withTransaction(async () => {
+      await db.query("INSERT INTO tx_test VALUES (1)");
+      const transaction = await db.begin();
+      await transaction.query("INSERT INTO tx_test VALUES (2)");
+      await transaction.rollback();
+      await db.query("INSERT INTO tx_test VALUES (3)");
+    });
+    expect(await numbers()).toEqual([1, 3]);
+  });
+});
+
+describe("createDb: several connections", function () {
+  let pooled;
+
+  beforeAll(async function () {
+    pooled = db.createDb({ connectionString: getDatabaseUri(), max: 2 });
+    await pooled.query("CREATE TABLE pool_test (n INTEGER PRIMARY KEY)");
+  });
+
+  afterAll(async function () {
+    await pooled.query("DROP TABLE pool_test");
+    await pooled.end();
+  });
+
+  afterEach(async function () {
+    await pooled.query("DELETE FROM pool_test");
+  });
+
+  const pid = transaction => transaction.query("SELECT pg_backend_pid() AS pid")
+      .then(r => r.rows[0].pid);
+
+  test("works: transactions don't see each other's changes until committed",
+      async function () {
+        const first = await pooled.begin();
+        const second = await pooled.begin();
+        expect(await pid(first)).not.toEqual(await pid(second));
+
+        await first.query("INSERT INTO pool_test VALUES (1)");
+        expect((await second.query("SELECT n FROM pool_test")).rows)
+            .toEqual([]);
+
+        await first.commit();
+        expect((await second.query("SELECT n FROM pool_test")).rows)
+            .toEqual([{ n: 1 }]);
+        await second.rollback();
+      });
+
+  test("works: concurrent withTransactions each keep their connection",
+      async function () {
+        // neither transaction goes on until both have inserted
+        let inserted = 0;
+        let bothInserted;
+        const barrier = new Promise(resolve => bothInserted = resolve);
+
+        const seen = await Promise.all([1, 2].map(n => pooled.withTransaction(
+            async () => {
+              await pooled.query("INSERT INTO pool_test VALUES ($1)", [n]);
+              if (++inserted === 2) bothInserted();
+              await barrier;
+              const result = await pooled.query("SELECT n FROM pool_test");
+              return result.rows.map(r => r.n);
+            })));
+
+        expect(seen).toEqual([[1], [2]]);
+        expect((await pooled.query("SELECT n FROM pool_test ORDER BY n")).rows)
+            .toEqual([{ n: 1 }, { n: 2 }]);
+      });
+
+  test("works: a rolled back transaction leaves the other's changes",
+      async function () {
+        const kept = pooled.withTransaction(
+            () => pooled.query("INSERT INTO pool_test VALUES (1)"));
+        const undone = pooled.withTransaction(async () => {
+          await pooled.query("INSERT INTO pool_test VALUES (2)");
+          throw new Error("oops");
+        });
+
+        const results = await Promise.allSettled([kept, undone]);
+        expect(results.map(r => r.status)).toEqual(["fulfilled", "rejected"]);
+        expect((await pooled.query("SELECT n FROM pool_test")).rows)
+            .toEqual([{ n: 1 }]);
+      });
+});
@@ -0,0 +1,145 @@
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { BadRequestError } = require("../expressError");
+
+
+/*
+  Helper function for reading CSV uploads.
+  Takes in CSV text whose first line names the columns (text), with fields
+  separated by commas and optionally wrapped in double quotes (a quoted
+  field can hold commas, newlines and "" for a quote).
+
+  returns an array with an object per data line, keyed by column name.
+  Empty fields are left out, so they read the same as a missing property
+  in JSON; blank lines are skipped.
+
+  call: parseCsv('handle,name\nc1,"Acme, Inc."\n')
+
+  return: [{ handle: "c1", name: "Acme, Inc." }]
+
+  Throws BadRequestError for an unterminated quote or a line with more
+  fields than there are columns.
+ */
+function parseCsv(text) {
+  const [header = [], ...lines] = _splitRecords(text);
+
+  return lines.map((fields, idx) => {
+    if (fields.length > header.length) {
+      throw new BadRequestError(
+          `CSV line ${idx + 2} has more fields than there are columns`);
+    }
+
+    const row = {};
+    fields.forEach((field, col) => {
+      if (field !== "") row[header[col]] = field;
+    });
+    return row;
+  });
+}
+
+/* splits CSV text into records, each an array of field strings */
+function _splitRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      fields.push(field);
+      if (fields.length > 1 || fields[0] !== "") records.push(fields);
+      fields = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new BadRequestError("CSV has an unterminated quote");
+
+  fields.push(field);
+  if (fields.length > 1 || fields[0] !== "") records.push(fields);
+
+  return records;
+}
+
+/*
+  Helper function for writing CSV.
+  Takes in the values of one line (values). null and undefined are written
+  as empty fields and dates in ISO format; fields holding a comma, quote or
+  line break are quoted.
+
+  Spreadsheets run text starting with =, +, -, @, a tab or a carriage
+  return as a formula, so such strings get a ' in front to be shown as
+  text. Numbers are written as they are.
+
+  returns the line, ending in a newline.
+
+  call: toCsvLine(["c1", "Acme, Inc.", null])
+
+  return: 'c1,"Acme, Inc.",\n'
+ */
+function toCsvLine(values) {
+  const fields = values.map(value => {
+    if (value === null || value === undefined) return "";
+    let field = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(field)) {
+      field = `'${field}`;
+    }
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  });
+  return fields.join(",") + "\n";
+}
+
+/*
+  Helper function for sending CSV downloads.
+  Takes in the express response (res), a file name for the download
+  (filename), the columns to write (columns) and the rows, as an array or
+  async iterator of objects keyed by column (rows).
+
+  Writes a header line then a line per row as the rows come in, waiting
+  for the client to keep up, and stops reading rows if the client goes
+  away.
+
+  call: await sendCsv(res, "jobs.csv", ["id", "title"], Job.streamAll(filters))
+ */
+async function sendCsv(res, filename, columns, rows) {
+  async function* lines() {
+    yield toCsvLine(columns);
+    for await (const row of rows) {
+      yield toCsvLine(columns.map(col => row[col]));
+    }
+  }
+
+  res.type("text/csv").attachment(filename);
+  await pipeline(Readable.from(lines()), res);
+}
+
+/*
+  Helper function for deciding whether a list request wants CSV: either
+  ?format=csv (format) or, without a format, an Accept header that prefers
+  text/csv over JSON.
+ */
+function wantsCsv(req, format) {
+  if (format !== undefined) return format === "csv";
+  return req.accepts(["json", "csv"]) === "csv";
+}
+
+module.exports = { parseCsv, toCsvLine, sendCsv, wantsCsv };
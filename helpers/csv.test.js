@@ -0,0 +1,85 @@
+const { parseCsv, toCsvLine, wantsCsv } = require("./csv");
+const { BadRequestError } = require("../expressError");
+
+describe("parseCsv", function () {
+  test("works", function () {
+    expect(parseCsv("handle,name\nc1,C1\nc2,C2\n")).toEqual([
+      { handle: "c1", name: "C1" },
+      { handle: "c2", name: "C2" },
+    ]);
+  });
+
+  test("works: quoted fields", function () {
+    const text = 'handle,description\r\nc1,"Big, ""bold""\nand new"\r\n';
+    expect(parseCsv(text)).toEqual([
+      { handle: "c1", description: 'Big, "bold"\nand new' },
+    ]);
+  });
+
+  test("works: leaves out empty fields and blank lines", function () {
+    expect(parseCsv("handle,name,logoUrl\n\nc1,,\n")).toEqual([
+      { handle: "c1" },
+    ]);
+  });
+
+  test("works: header only", function () {
+    expect(parseCsv("handle,name")).toEqual([]);
+  });
+
+  test("bad request for unterminated quote", function () {
+    expect(() => parseCsv('handle\n"c1')).toThrow(BadRequestError);
+  });
+
+  test("bad request for too many fields", function () {
+    expect(() => parseCsv("handle\nc1,c2")).toThrow(BadRequestError);
+  });
+});
+
+describe("toCsvLine", function () {
+  test("works", function () {
+    expect(toCsvLine(["c1", 5, "0.5"])).toEqual("c1,5,0.5\n");
+  });
+
+  test("works: quotes commas, quotes and line breaks", function () {
+    expect(toCsvLine(["Acme, Inc.", 'The "best"', "a\nb"])).toEqual(
+        '"Acme, Inc.","The ""best""","a\nb"\n');
+  });
+
+  test("works: empty fields for null, ISO dates", function () {
+    expect(toCsvLine([null, undefined, new Date("2020-01-02T03:04:05Z")]))
+        .toEqual(",,2020-01-02T03:04:05.000Z\n");
+  });
+
+  test("works: keeps spreadsheets from running text as formulas",
+      function () {
+        expect(toCsvLine(["=1+2", "+1", "-1", "@SUM(A1)", "\tx", "\rx"]))
+            .toEqual(`'=1+2,'+1,'-1,'@SUM(A1),'\tx,"'\rx"\n`);
+      });
+
+  test("works: numbers aren't changed", function () {
+    expect(toCsvLine([-1, -0.5])).toEqual("-1,-0.5\n");
+  });
+
+  test("round trips through parseCsv", function () {
+    const line = toCsvLine(["Acme, Inc.", 'The "best"']);
+    expect(parseCsv("name,motto\n" + line)).toEqual([
+      { name: "Acme, Inc.", motto: 'The "best"' },
+    ]);
+  });
+});
+
+describe("wantsCsv", function () {
+  const req = accept => ({
+    accepts: types => (accept === "text/csv" ? "csv" : types[0]),
+  });
+
+  test("works: format wins over Accept", function () {
+    expect(wantsCsv(req("text/csv"), "json")).toEqual(false);
+    expect(wantsCsv(req("application/json"), "csv")).toEqual(true);
+  });
+
+  test("works: falls back to Accept", function () {
+    expect(wantsCsv(req("text/csv"))).toEqual(true);
+    expect(wantsCsv(req("*/*"))).toEqual(false);
+  });
+});
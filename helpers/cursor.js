@@ -0,0 +1,49 @@
+"use strict";
+
+/** Number of rows fetched from a cursor at a time. */
+const CURSOR_BATCH_SIZE = 100;
+
+let cursorCount = 0;
+
+/*
+  Helper function for reading a large query without loading every row into
+  memory at once.
+  Takes in the database (db), a SELECT query (text) and its parameter
+  values (values).
+
+  returns an async iterator over the result rows. The rows are read from a
+  server-side cursor in batches of batchSize, in a transaction of its own
+  (see db.begin), as a cursor only lasts as long as its transaction. The
+  cursor is closed and the transaction ended when the rows run out, when
+  reading them fails, or when the caller stops iterating early.
+
+  call: for await (const row of streamRows(db, "SELECT id FROM jobs", [])) ...
+ */
+async function* streamRows(db, text, values, batchSize = CURSOR_BATCH_SIZE) {
+  const cursor = `cursor_${++cursorCount}`;
+  const transaction = await db.begin();
+
+  let failed = false;
+  try {
+    await transaction.query(
+        `DECLARE ${cursor} NO SCROLL CURSOR FOR ${text}`, values);
+    while (true) {
+      const result = await transaction.query(
+          `FETCH ${batchSize} FROM ${cursor}`);
+      if (result.rows.length === 0) return;
+      yield* result.rows;
+    }
+  } catch (err) {
+    failed = true;
+    throw err;
+  } finally {
+    // rolling back closes the cursor too
+    try {
+      if (!failed) await transaction.query(`CLOSE ${cursor}`);
+    } finally {
+      await (failed ? transaction.rollback() : transaction.commit());
+    }
+  }
+}
+
+module.exports = { streamRows, CURSOR_BATCH_SIZE };
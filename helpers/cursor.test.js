@@ -0,0 +1,89 @@
+const { streamRows } = require("./cursor");
+
+/** Fake database whose transactions serve rows in FETCH batches, and that
+ * records its queries and how its transaction ended. FETCHes fail once
+ * failAfter rows have been served. */
+function fakeDb(rows, failAfter = Infinity) {
+  const queries = [];
+  let next = 0;
+  const db = {
+    queries,
+    ended: null,
+    async begin() {
+      return {
+        query: db.query,
+        commit: async () => db.ended = "commit",
+        rollback: async () => db.ended = "rollback",
+      };
+    },
+    async query(text, values) {
+      queries.push(text);
+      const fetch = text.match(/^FETCH (\d+)/);
+      if (!fetch) return { rows: [] };
+      if (next >= failAfter) throw new Error("connection lost");
+      const batch = rows.slice(next, next + Number(fetch[1]));
+      next += batch.length;
+      return { rows: batch };
+    },
+  };
+  return db;
+}
+
+describe("streamRows", function () {
+  test("works: reads every row in batches", async function () {
+    const db = fakeDb([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    const rows = [];
+    for await (const row of streamRows(db, "SELECT id FROM jobs", [], 2)) {
+      rows.push(row);
+    }
+
+    expect(rows).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    expect(db.queries).toEqual([
+      expect.stringMatching(/^DECLARE (\w+) NO SCROLL CURSOR FOR SELECT id FROM jobs$/),
+      expect.stringMatching(/^FETCH 2 FROM \w+$/),
+      expect.stringMatching(/^FETCH 2 FROM \w+$/),
+      expect.stringMatching(/^FETCH 2 FROM \w+$/),
+      expect.stringMatching(/^CLOSE \w+$/),
+    ]);
+    expect(db.ended).toEqual("commit");
+  });
+
+  test("works: closes the cursor when stopped early", async function () {
+    const db = fakeDb([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    for await (const row of streamRows(db, "SELECT id FROM jobs", [], 2)) {
+      break;
+    }
+
+    expect(db.queries.length).toEqual(3);
+    expect(db.queries[2]).toMatch(/^CLOSE \w+$/);
+    expect(db.ended).toEqual("commit");
+  });
+
+  test("works: rolls back if reading fails", async function () {
+    const db = fakeDb([{ id: 1 }, { id: 2 }, { id: 3 }], 2);
+    const rows = [];
+    try {
+      for await (const row of streamRows(db, "SELECT id FROM jobs", [], 2)) {
+        rows.push(row);
+      }
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("connection lost");
+    }
+
+    expect(rows).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(db.queries).not.toContainEqual(expect.stringMatching(/^CLOSE/));
+    expect(db.ended).toEqual("rollback");
+  });
+
+  test("works: a new cursor for each query", async function () {
+    const db = fakeDb([]);
+    for await (const row of streamRows(db, "SELECT 1", [])) {}
+    for await (const row of streamRows(db, "SELECT 1", [])) {}
+
+    const names = db.queries
+        .filter(q => q.startsWith("CLOSE"))
+        .map(q => q.split(" ")[1]);
+    expect(names[0]).not.toEqual(names[1]);
+  });
+});
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { MAIL_FROM, MAIL_OUTBOX_DIR } = require("../config");
+
+
+/*
+  Sending mail goes through a "transport": any object with an async
+  send(message) method, where message is { from, to, subject, text }.
+
+  The default transport writes each message to a file in MAIL_OUTBOX_DIR,
+  so mail can be read (and tested) without a mail server. To really send
+  mail, plug in a transport wrapping an SMTP client or mail API:
+
+    setMailTransport({ async send(message) { ... } });
+ */
+
+
+/* Makes a transport that writes each message to its own .eml file in dir. */
+function createOutboxTransport(dir) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+      const file = path.join(dir, fileName);
+      const contents = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        "",
+        message.text,
+      ].join("\n");
+
+      await fs.writeFile(file, contents);
+      return file;
+    },
+  };
+}
+
+const outboxTransport = createOutboxTransport(MAIL_OUTBOX_DIR);
+let transport = outboxTransport;
+
+/* Plug in a transport; passing nothing goes back to the outbox. */
+function setMailTransport(newTransport) {
+  transport = newTransport || outboxTransport;
+}
+
+/* Send { to, subject, text } through the current transport. */
+async function sendMail({ to, subject, text }) {
+  return transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+
+module.exports = { sendMail, setMailTransport, createOutboxTransport };
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  sendMail,
+  setMailTransport,
+  createOutboxTransport
+} = require("./mail");
+
+afterEach(function () {
+  setMailTransport();
+});
+
+describe("createOutboxTransport", function () {
+  test("works: writes a message file", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-outbox-"));
+    const transport = createOutboxTransport(path.join(dir, "outbox"));
+
+    const file = await transport.send({
+      from: "from@test.com",
+      to: "to@test.com",
+      subject: "Hello",
+      text: "Body text",
+    });
+
+    const contents = fs.readFileSync(file, "utf8");
+    expect(contents).toContain("From: from@test.com");
+    expect(contents).toContain("To: to@test.com");
+    expect(contents).toContain("Subject: Hello");
+    expect(contents).toContain("\n\nBody text");
+
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+describe("sendMail", function () {
+  test("works: uses the plugged in transport", async function () {
+    const sent = [];
+    setMailTransport({ async send(message) { sent.push(message); } });
+
+    await sendMail({ to: "to@test.com", subject: "Hi", text: "There" });
+    expect(sent).toEqual([{
+      from: expect.any(String),
+      to: "to@test.com",
+      subject: "Hi",
+      text: "There",
+    }]);
+  });
+});
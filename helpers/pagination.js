@@ -0,0 +1,82 @@
+const { BadRequestError } = require("../expressError");
+
+const MAX_LIMIT = 100;
+
+
+/*
+  Helper function for making paginated, sorted SELECT queries.
+  Takes in the paging options from the query string(page)
+    { limit, offset, sort, direction }
+  an object that maps the sortable keys to database columns(sortable)
+    { name: "name", numEmployees: "num_employees" }
+  and the key to sort by when none is given(defaultSort).
+
+  limit and offset may be strings (straight from req.query); limit must be
+  between 1 and MAX_LIMIT and is optional (no limit returns every row),
+  offset defaults to 0, direction is "asc" (default) or "desc".
+
+  returns an object with "orderBy" being a string to be used after ORDER BY,
+  and the validated "limit" (or null) and "offset" numbers for LIMIT/OFFSET
+
+  call: sqlForPagination(
+          { limit: "10", sort: "numEmployees", direction: "desc" },
+          { name: "name", numEmployees: "num_employees" },
+          "name"
+        )
+
+  return: {
+            orderBy: `"num_employees" DESC`,
+            limit: 10,
+            offset: 0
+          }
+
+  Throws BadRequestError on an unknown sort key or bad limit/offset/direction.
+ */
+function sqlForPagination(page = {}, sortable, defaultSort) {
+  const { limit, offset, sort = defaultSort, direction = "asc" } = page;
+
+  if (!Object.prototype.hasOwnProperty.call(sortable, sort)) {
+    throw new BadRequestError(
+        `Cannot sort by ${sort}; must be one of: ${Object.keys(sortable).join(", ")}`);
+  }
+
+  if (direction !== "asc" && direction !== "desc") {
+    throw new BadRequestError(`Direction must be "asc" or "desc"`);
+  }
+
+  let limitNum = null;
+  if (limit !== undefined) {
+    limitNum = Number(limit);
+    if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > MAX_LIMIT) {
+      throw new BadRequestError(
+          `Limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  let offsetNum = 0;
+  if (offset !== undefined) {
+    offsetNum = Number(offset);
+    if (!Number.isInteger(offsetNum) || offsetNum < 0) {
+      throw new BadRequestError("Offset must be a non-negative integer");
+    }
+  }
+
+  return {
+    orderBy: `"${sortable[sort]}" ${direction.toUpperCase()}`,
+    limit: limitNum,
+    offset: offsetNum,
+  };
+}
+
+/*
+  Given the paging options used for a query, how many rows that page
+  returned and the total number of matching rows, returns the offset to ask
+  for to get the next page, or null if this was the last page.
+ */
+function getNextCursor(page = {}, pageLength, total) {
+  const next = Number(page.offset || 0) + pageLength;
+  return next < total ? next : null;
+}
+
+
+module.exports = { sqlForPagination, getNextCursor, MAX_LIMIT };
@@ -0,0 +1,75 @@
+const { BadRequestError } = require("../expressError");
+const {
+  sqlForPagination,
+  getNextCursor
+} = require("./pagination");
+
+const sortable = { name: "name", numEmployees: "num_employees" };
+
+describe("sqlForPagination", function () {
+  test("works with defaults", function () {
+    const result = sqlForPagination({}, sortable, "name");
+    expect(result).toEqual({
+      orderBy: `"name" ASC`,
+      limit: null,
+      offset: 0,
+    });
+  });
+
+  test("works with string values from a query string", function () {
+    const result = sqlForPagination({
+      limit: "10",
+      offset: "20",
+      sort: "numEmployees",
+      direction: "desc",
+    }, sortable, "name");
+    expect(result).toEqual({
+      orderBy: `"num_employees" DESC`,
+      limit: 10,
+      offset: 20,
+    });
+  });
+
+  test("bad request for column not in whitelist", function () {
+    expect(() => sqlForPagination({ sort: "description" }, sortable, "name"))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request for inherited property as sort", function () {
+    expect(() => sqlForPagination({ sort: "toString" }, sortable, "name"))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request for bad direction", function () {
+    expect(() => sqlForPagination({ direction: "up" }, sortable, "name"))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request for bad limit", function () {
+    expect(() => sqlForPagination({ limit: "0" }, sortable, "name"))
+        .toThrow(BadRequestError);
+    expect(() => sqlForPagination({ limit: "1000" }, sortable, "name"))
+        .toThrow(BadRequestError);
+    expect(() => sqlForPagination({ limit: "ten" }, sortable, "name"))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request for bad offset", function () {
+    expect(() => sqlForPagination({ offset: "-1" }, sortable, "name"))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("getNextCursor", function () {
+  test("works: more rows", function () {
+    expect(getNextCursor({ limit: 2, offset: "2" }, 2, 5)).toEqual(4);
+  });
+
+  test("works: last page", function () {
+    expect(getNextCursor({ limit: 2, offset: 4 }, 1, 5)).toEqual(null);
+  });
+
+  test("works: no offset", function () {
+    expect(getNextCursor({}, 3, 3)).toEqual(null);
+  });
+});
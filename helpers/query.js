@@ -0,0 +1,43 @@
+/*
+  Hook for jsonschema.validate that coerces query string values to the
+  type the schema asks for, so "10" can pass as an integer and "true" as a
+  boolean. Values that don't look like the right type are left alone so the
+  validation itself rejects them.
+
+  call: jsonschema.validate(query, schema, { preValidateProperty: coerceQueryProperty })
+ */
+function coerceQueryProperty(object, key, schema) {
+  const value = object[key];
+  if (typeof value !== "string" || !schema) return;
+
+  if (schema.type === "integer" || schema.type === "number") {
+    if (value.trim() !== "" && !isNaN(Number(value))) {
+      object[key] = Number(value);
+    }
+  } else if (schema.type === "boolean") {
+    if (value === "true") object[key] = true;
+    if (value === "false") object[key] = false;
+  }
+}
+
+/** Largest id a SERIAL (INTEGER) column holds. */
+const MAX_ID = 2147483647;
+
+/*
+  Helper function for ids in URLs.
+  Takes in a route parameter (value).
+
+  returns the id as a number, or null if it isn't a whole number from 0 to
+  MAX_ID, so it can't be an id and shouldn't reach the database.
+
+  call: parseId("12")
+
+  return: 12
+ */
+function parseId(value) {
+  if (!/^\d+$/.test(value)) return null;
+  const id = Number(value);
+  return id <= MAX_ID ? id : null;
+}
+
+module.exports = { coerceQueryProperty, parseId, MAX_ID };
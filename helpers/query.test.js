@@ -0,0 +1,59 @@
+const jsonschema = require("jsonschema");
+const { coerceQueryProperty, parseId, MAX_ID } = require("./query");
+
+const schema = {
+  type: "object",
+  properties: {
+    count: { type: "integer" },
+    ratio: { type: "number" },
+    flag: { type: "boolean" },
+    name: { type: "string" },
+  },
+  additionalProperties: false,
+};
+
+function validate(query) {
+  return jsonschema.validate(
+      query, schema, { preValidateProperty: coerceQueryProperty });
+}
+
+describe("coerceQueryProperty", function () {
+  test("coerces numbers and booleans", function () {
+    const query = { count: "10", ratio: "0.5", flag: "false", name: "10" };
+    expect(validate(query).valid).toEqual(true);
+    expect(query).toEqual({ count: 10, ratio: 0.5, flag: false, name: "10" });
+  });
+
+  test("leaves bad values for validation to reject", function () {
+    const query = { count: "ten", flag: "yes" };
+    expect(validate(query).valid).toEqual(false);
+    expect(query).toEqual({ count: "ten", flag: "yes" });
+  });
+
+  test("does not coerce a non-integer to an integer", function () {
+    expect(validate({ count: "1.5" }).valid).toEqual(false);
+  });
+
+  test("does not coerce empty strings", function () {
+    expect(validate({ count: "" }).valid).toEqual(false);
+  });
+
+  test("unknown keys still fail", function () {
+    expect(validate({ nope: "1" }).valid).toEqual(false);
+  });
+});
+
+describe("parseId", function () {
+  test("works", function () {
+    expect(parseId("12")).toEqual(12);
+    expect(parseId("0")).toEqual(0);
+    expect(parseId(String(MAX_ID))).toEqual(MAX_ID);
+  });
+
+  test("null for anything that can't be an id", function () {
+    for (const value of ["abc", "1.5", "", "-1", "1e3", String(MAX_ID + 1),
+      "99999999999", undefined]) {
+      expect(parseId(value)).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,23 @@
+"use strict";
+
+/*
+  Helper function for search result snippets.
+  Takes in SQL for the text to take the snippet from (text) and for the
+  tsquery to highlight (query), and optionally more ts_headline options
+  (options).
+
+  The text is HTML-escaped before highlighting, so stored markup shows as
+  text and only the <mark></mark> around matched words is HTML.
+
+  call: sqlForSnippet("name || ': ' || description", "query", "MaxFragments=2")
+ */
+function sqlForSnippet(text, query, options) {
+  const extraOptions = options ? `, ${options}` : "";
+  return `ts_headline('english',
+                      replace(replace(replace(${text},
+                          '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+                      ${query},
+                      'StartSel=<mark>, StopSel=</mark>${extraOptions}')`;
+}
+
+module.exports = { sqlForSnippet };
@@ -0,0 +1,14 @@
+const { sqlForSnippet } = require("./snippet");
+
+describe("sqlForSnippet", function () {
+  test("works: escapes the text", function () {
+    const sql = sqlForSnippet("description", "query");
+    expect(sql).toMatch(/replace\(replace\(replace\(description,\s+'&', '&amp;'\), '<', '&lt;'\), '>', '&gt;'\)/);
+    expect(sql).toContain("'StartSel=<mark>, StopSel=</mark>')");
+  });
+
+  test("works: with more options", function () {
+    const sql = sqlForSnippet("description", "query", "MaxFragments=2");
+    expect(sql).toContain("'StartSel=<mark>, StopSel=</mark>, MaxFragments=2')");
+  });
+});
@@ -1,7 +1,12 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
 
-/** return signed JWT {username, isAdmin} from user data. */
+/** return signed JWT {username, isAdmin, tokenVersion} from user data.
+ *
+ * The token expires after ACCESS_TOKEN_EXPIRES_IN, and stops working early
+ * if the user's token version is bumped (see authenticateJWT).
+ */
 
 function createToken(user) {
   console.assert(user.isAdmin !== undefined,
@@ -10,9 +15,48 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    tokenVersion: user.tokenVersion || 0,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
-module.exports = { createToken };
+/** return a new random, opaque token (for refresh and reset tokens). */
+
+function createRandomToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/** return the hash of a random token. Refresh, password reset and email
+ * verification tokens are stored only as hashes, so a leaked table can't be
+ * used to sign in. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/** Use up a random token stored (hashed) in table, if it is unused and
+ * unexpired; where adds more conditions it must meet.
+ *
+ * The token is checked and marked used in one statement, so it can only be
+ * used once, even by requests racing each other.
+ *
+ * Returns the token's row, with the columns in returning, or undefined if
+ * the token can't be used.
+ */
+
+async function claimToken(db, table, token, returning, where = "") {
+  const result = await db.query(
+        `UPDATE ${table}
+         SET used_at = NOW()
+         WHERE token_hash = $1
+           AND used_at IS NULL
+           AND expires_at > NOW()
+           ${where}
+         RETURNING ${returning}`,
+      [hashToken(token)],
+  );
+  return result.rows[0];
+}
+
+module.exports = { createToken, createRandomToken, hashToken, claimToken };
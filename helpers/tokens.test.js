@@ -1,5 +1,10 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const {
+  createToken,
+  createRandomToken,
+  hashToken,
+  claimToken,
+} = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
@@ -8,8 +13,10 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      tokenVersion: 0,
     });
   });
 
@@ -18,8 +25,10 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: true,
+      tokenVersion: 0,
     });
   });
 
@@ -29,8 +38,78 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      tokenVersion: 0,
     });
   });
 });
+
+describe("createToken tokenVersion", function () {
+  test("works: carries the user's token version", function () {
+    const token = createToken({ username: "test", isAdmin: false, tokenVersion: 3 });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.tokenVersion).toEqual(3);
+  });
+});
+
+describe("createToken expiry", function () {
+  test("expires after ACCESS_TOKEN_EXPIRES_IN", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    // default is 15 minutes
+    expect(payload.exp - payload.iat).toEqual(15 * 60);
+  });
+});
+
+describe("createRandomToken", function () {
+  test("works: random each time", function () {
+    const token = createRandomToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(createRandomToken()).not.toEqual(token);
+  });
+});
+
+describe("hashToken", function () {
+  test("works: stable and not the token", function () {
+    const token = createRandomToken();
+    expect(hashToken(token)).toEqual(hashToken(token));
+    expect(hashToken(token)).not.toEqual(token);
+  });
+});
+
+describe("claimToken", function () {
+  /** Fake database that records its query and returns rows. */
+  function fakeDb(rows) {
+    const db = {
+      async query(text, values) {
+        db.text = text;
+        db.values = values;
+        return { rows };
+      },
+    };
+    return db;
+  }
+
+  test("works: marks the hashed token used and returns its row",
+      async function () {
+        const db = fakeDb([{ username: "u1" }]);
+        const claimed = await claimToken(db, "reset_tokens", "abc", "username");
+
+        expect(claimed).toEqual({ username: "u1" });
+        expect(db.values).toEqual([hashToken("abc")]);
+        expect(db.text).toMatch(/UPDATE reset_tokens\s+SET used_at = NOW\(\)/);
+        expect(db.text).toMatch(/AND used_at IS NULL\s+AND expires_at > NOW\(\)/);
+        expect(db.text).toMatch(/RETURNING username$/);
+      });
+
+  test("works: more conditions", async function () {
+    const db = fakeDb([]);
+    const claimed = await claimToken(
+        db, "refresh_tokens", "abc", "username", "AND revoked_at IS NULL");
+
+    expect(claimed).toBeUndefined();
+    expect(db.text).toMatch(/AND revoked_at IS NULL/);
+  });
+});
@@ -161,7 +161,7 @@ VALUES ('bauer-gallagher', 'Bauer-Gallagher', 862,
        ('weber-hernandez', 'Weber-Hernandez', 681,
         'Contain product south picture scientist.', '/logos/logo4.png');
 
-INSERT INTO jobs (title, salary, equity, company_handle)
+INSERT INTO jobs (title, salary_min, equity, company_handle)
 VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Information officer', 200000, 0, 'hall-mills'),
        ('Consulting civil engineer', 60000, 0, 'sellers-bryant'),
@@ -368,3 +368,9 @@ VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Learning disability nurse', 66000, NULL, 'ayala-buchanan'),
        ('Research scientist (medical)', 175000, NULL, 'norman-harvey'),
        ('Accommodation manager', 126000, NULL, 'mejia-scott-ryan');
+
+-- single-figure salaries, all posted and open
+UPDATE jobs
+SET salary_max = salary_min,
+    status = 'open',
+    posted_at = NOW();
@@ -3,16 +3,13 @@
 
 DROP DATABASE jobly;
 CREATE DATABASE jobly;
-\connect jobly
-
-\i jobly-schema.sql
-\i jobly-seed.sql
 
 \echo 'Delete and recreate jobly_test db?'
 \prompt 'Return for yes or control-C to cancel > ' foo
 
 DROP DATABASE jobly_test;
 CREATE DATABASE jobly_test;
-\connect jobly_test
 
-\i jobly-schema.sql
+\echo 'Now make the tables and load the seed data with:'
+\echo '  npm run migrate up && psql jobly < jobly-seed.sql'
+\echo '  NODE_ENV=test npm run migrate up'
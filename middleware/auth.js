@@ -5,6 +5,8 @@
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const User = require("../models/user");
+const Role = require("../models/role");
 
 
 /** Middleware: Authenticate user.
@@ -12,19 +14,32 @@ const { UnauthorizedError, ForbiddenError } = require("../expressError");
  * If a token was provided, verify it, and, if valid, store the token payload
  * on res.locals (this will include the username and isAdmin field.)
  *
- * It's not an error if no token was provided or if the token is not valid.
+ * It's not an error if no token was provided or if the token is not valid
+ * or has expired; the request just carries on as anonymous. The same goes
+ * for a token whose tokenVersion is behind the user's (their password or
+ * admin status changed, or they signed out everywhere, since it was made).
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
+  const authHeader = req.headers && req.headers.authorization;
+  if (!authHeader) return next();
+
+  let payload;
   try {
-    const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
-      const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+    const token = authHeader.replace(/^[Bb]earer /, "").trim();
+    payload = jwt.verify(token, SECRET_KEY);
+  } catch (err) {
+    return next();
+  }
+
+  try {
+    const tokenVersion = await User.getTokenVersion(payload.username);
+    if (tokenVersion === (payload.tokenVersion || 0)) {
+      res.locals.user = payload;
     }
     return next();
   } catch (err) {
-    return next();
+    return next(err);
   }
 }
 
@@ -77,10 +92,43 @@ function ensureAdminOrCurrUser(req, res, next) {
   }
 }
 
+/** Middleware factory: require the logged-in user to have a permission.
+ *
+ * getCompanyHandle, if given, is called (possibly async) with the request
+ * to find the company the request acts on; grants for that company then
+ * count as well as site-wide ones. Admins have every permission.
+ *
+ * Use after ensureLoggedIn. Raises Forbidden if the user lacks permission.
+ *
+ *   router.post("/", ensureLoggedIn,
+ *       requirePermission("jobs:write", req => req.body.companyHandle), ...)
+ */
+
+function requirePermission(permission, getCompanyHandle) {
+  return async function (req, res, next) {
+    try {
+      const currUser = res.locals.user;
+      if (currUser.isAdmin) return next();
+
+      const companyHandle = getCompanyHandle
+          ? await getCompanyHandle(req)
+          : null;
+      const allowed = await Role.hasPermission(
+          currUser.username, permission, companyHandle);
+      if (!allowed) throw new ForbiddenError();
+
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
 
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
   ensureAdmin,
-  ensureAdminOrCurrUser
+  ensureAdminOrCurrUser,
+  requirePermission,
 };
@@ -6,53 +6,120 @@ const {
   authenticateJWT,
   ensureLoggedIn,
   ensureAdmin,
-  ensureAdminOrCurrUser
+  ensureAdminOrCurrUser,
+  requirePermission,
 } = require("./auth");
 
 
+const db = require("../db.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const testJwt = jwt.sign({ username: "u1", isAdmin: false }, SECRET_KEY);
+const badJwt = jwt.sign({ username: "u1", isAdmin: false }, "wrong");
+const expiredJwt = jwt.sign(
+    { username: "u1", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 },
+    SECRET_KEY);
 
 /************************************** authenticateJWT */
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${testJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
-        username: "test",
+        username: "u1",
         isAdmin: false,
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: expired token is ignored", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token from an older token version is ignored", async function () {
+    expect.assertions(2);
+    await db.query("UPDATE users SET token_version = 1 WHERE username = 'u1'");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: current token version", async function () {
+    expect.assertions(2);
+    await db.query("UPDATE users SET token_version = 1 WHERE username = 'u1'");
+    const token = jwt.sign(
+        { username: "u1", isAdmin: false, tokenVersion: 1 }, SECRET_KEY);
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals.user.username).toEqual("u1");
+  });
+
+  test("works: token for a deleted user is ignored", async function () {
+    expect.assertions(2);
+    await db.query("DELETE FROM users WHERE username = 'u1'");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 });
@@ -153,4 +220,71 @@ describe("ensureAdmin", function () {
     };
     ensureAdminOrCurrUser(req, res, next);
   });
-});
\ No newline at end of file
+});
+
+
+describe("requirePermission", function () {
+  test("works if admin", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "u2", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+
+  test("works with a grant for the company", async function () {
+    expect.assertions(1);
+    await db.query(
+        `INSERT INTO user_roles (username, role, company_handle)
+         VALUES ('u2', 'recruiter', 'c1')`);
+    const req = { body: { companyHandle: "c1" } };
+    const res = { locals: { user: { username: "u2", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("jobs:write", req => req.body.companyHandle)(
+        req, res, next);
+  });
+
+  test("Forbidden with a grant for another company", async function () {
+    expect.assertions(1);
+    await db.query(
+        `INSERT INTO user_roles (username, role, company_handle)
+         VALUES ('u2', 'recruiter', 'c2')`);
+    const req = { body: { companyHandle: "c1" } };
+    const res = { locals: { user: { username: "u2", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await requirePermission("jobs:write", req => req.body.companyHandle)(
+        req, res, next);
+  });
+
+  test("Forbidden if role lacks the permission", async function () {
+    expect.assertions(1);
+    await db.query(
+        `INSERT INTO user_roles (username, role, company_handle)
+         VALUES ('u2', 'recruiter', 'c1')`);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "u2", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await requirePermission("members:write", req => req.params.handle)(
+        req, res, next);
+  });
+
+  test("passes on errors finding the company", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "u2", isAdmin: false } } };
+    const next = function (err) {
+      expect(err.message).toEqual("boom");
+    };
+    await requirePermission("jobs:write", async () => {
+      throw new Error("boom");
+    })(req, res, next);
+  });
+});
@@ -0,0 +1,313 @@
+"use strict";
+
+/** Database migrations.
+ *
+ * Each migration is a pair of SQL files in migrations/, named
+ * <version>_<name>.up.sql and <version>_<name>.down.sql, run in order of
+ * version. The versions that have been run are kept in the
+ * schema_migrations table.
+ *
+ * Run with:
+ *
+ *   npm run migrate up [version]    run pending migrations (up to version)
+ *   npm run migrate down [steps]    undo the last migration (or steps of them)
+ *   npm run migrate status          list migrations and when they were run
+ *   npm run migrate create <name>   add a new pair of migration files
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Client } = require("pg");
+const { getDatabaseUri } = require("./config");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+/** Key of the advisory lock held while migrating, so two deploys can't
+ * migrate the same database at once. */
+const MIGRATE_LOCK_KEY = 20481018;
+
+
+/** Read the migrations in dir.
+ *
+ * Returns [{ version, name, up, down }, ...] in order of version, where up
+ * and down are the SQL (down is null if there is no down file).
+ *
+ * Throws an error if a migration has no up file.
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name, up: null, down: null });
+    }
+    migrations.get(version)[direction] =
+        fs.readFileSync(path.join(dir, file), "utf8");
+  }
+
+  for (const { version, name, up } of migrations.values()) {
+    if (up === null) {
+      throw new Error(`Migration ${version}_${name} has no up file`);
+    }
+  }
+
+  return [...migrations.values()]
+      .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/** Make the schema_migrations table if the database doesn't have one.
+ *
+ * A database built before migrations from the original jobly-schema.sql
+ * (it has the companies table but no schema_migrations) already has the
+ * initial schema, so the first migration is recorded as run without
+ * running it; the rest then bring it up to date.
+ *
+ * Returns the migration recorded that way, or null.
+ *
+ * Throws an error for a database built from a later jobly-schema.sql (it
+ * also has application_state_changes): which migrations it has can't be
+ * told, so they must be recorded in schema_migrations by hand.
+ */
+
+async function ensureMigrationsTable(client, migrations) {
+  const tablesRes = await client.query(
+      `SELECT to_regclass('schema_migrations') AS "migrations",
+              to_regclass('companies') AS "companies",
+              to_regclass('application_state_changes') AS "laterTables"`);
+  const tables = tablesRes.rows[0];
+  if (tables.migrations) return null;
+
+  if (tables.companies && tables.laterTables) {
+    throw new Error("Database was built from a later jobly-schema.sql than "
+        + "the initial migration; record the migrations it has in "
+        + "schema_migrations by hand");
+  }
+
+  await client.query(
+      `CREATE TABLE schema_migrations (
+         version TEXT PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+       )`);
+
+  if (!tables.companies || migrations.length === 0) return null;
+
+  const [initial] = migrations;
+  await client.query(
+      `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+      [initial.version, initial.name]);
+  return initial;
+}
+
+/** Returns a Map of the versions run on the database to when they were
+ * run. */
+
+async function appliedVersions(client) {
+  const appliedRes = await client.query(
+      `SELECT version, applied_at AS "appliedAt"
+         FROM schema_migrations`);
+  return new Map(appliedRes.rows.map(m => [m.version, m.appliedAt]));
+}
+
+/** List the migrations in dir and whether they have been run.
+ *
+ * Returns [{ version, name, appliedAt }, ...] in order of version, where
+ * appliedAt is null for pending migrations.
+ */
+
+async function status(client, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  await ensureMigrationsTable(client, migrations);
+  const applied = await appliedVersions(client);
+
+  return migrations.map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.get(version) || null,
+  }));
+}
+
+/** Run the pending migrations in dir, in order of version, stopping after
+ * version to if it is given. Each runs in its own transaction.
+ *
+ * Returns the migrations run, [{ version, name }, ...].
+ *
+ * Throws an error, having run the migrations before it, if a migration
+ * fails.
+ */
+
+async function up(client, { dir, to } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(client, async () => {
+    await ensureMigrationsTable(client, migrations);
+    const applied = await appliedVersions(client);
+
+    const pending = migrations.filter(m => !applied.has(m.version)
+        && (to === undefined || Number(m.version) <= Number(to)));
+    for (const migration of pending) {
+      await runMigration(client, migration, "up");
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/** Undo the last steps migrations run (default 1), newest first, each in
+ * its own transaction.
+ *
+ * Returns the migrations undone, [{ version, name }, ...].
+ *
+ * Throws an error if one of them has no down file or no longer exists in
+ * dir.
+ */
+
+async function down(client, { dir, steps = 1 } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(client, async () => {
+    await ensureMigrationsTable(client, migrations);
+    const applied = await appliedVersions(client);
+
+    const toUndo = [...applied.keys()]
+        .sort((a, b) => Number(b) - Number(a))
+        .slice(0, steps)
+        .map(version => {
+          const migration = migrations.find(m => m.version === version);
+          if (!migration) throw new Error(`No migration file for ${version}`);
+          if (migration.down === null) {
+            throw new Error(
+                `Migration ${version}_${migration.name} has no down file`);
+          }
+          return migration;
+        });
+
+    for (const migration of toUndo) {
+      await runMigration(client, migration, "down");
+    }
+    return toUndo.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/** Add an empty pair of migration files to dir for name, numbered after
+ * the last migration there.
+ *
+ * Returns [upFile, downFile] (paths).
+ *
+ * Throws an error if name isn't letters, digits, dashes and underscores.
+ */
+
+function create(name, { dir = MIGRATIONS_DIR } = {}) {
+  if (!/^[\w-]+$/.test(name || "")) {
+    throw new Error("Migration name must be letters, digits, - and _");
+  }
+
+  const migrations = loadMigrations(dir);
+  const last = migrations.length
+      ? Number(migrations[migrations.length - 1].version)
+      : 0;
+  const version = String(last + 1).padStart(4, "0");
+  const base = `${version}_${name.replace(/-/g, "_")}`;
+
+  const files = ["up", "down"].map(direction => {
+    const file = path.join(dir, `${base}.${direction}.sql`);
+    fs.writeFileSync(file, `-- ${base} (${direction})\n`, { flag: "wx" });
+    return file;
+  });
+  return files;
+}
+
+/* helper function that runs one migration in direction ("up" or "down")
+   and records it in schema_migrations, in a transaction. */
+async function runMigration(client, migration, direction) {
+  const { version, name } = migration;
+  try {
+    await client.query("BEGIN");
+    await client.query(migration[direction]);
+    if (direction === "up") {
+      await client.query(
+          `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+          [version, name]);
+    } else {
+      await client.query(
+          `DELETE FROM schema_migrations WHERE version = $1`, [version]);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw new Error(`Migration ${version}_${name} failed: ${err.message}`);
+  }
+}
+
+/* helper function that runs fn holding the migrate advisory lock. */
+async function withLock(client, fn) {
+  await client.query("SELECT pg_advisory_lock($1)", [MIGRATE_LOCK_KEY]);
+  try {
+    return await fn();
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATE_LOCK_KEY]);
+  }
+}
+
+/* runs a migrate command (argv as given on the command line) against the
+   database from config. */
+async function main([command, arg]) {
+  if (command === "create") {
+    for (const file of create(arg)) console.log(`Created ${file}`);
+    return;
+  }
+
+  const commands = {
+    up: client => up(client, { to: arg }),
+    down: client => down(client, { steps: arg === undefined ? 1 : +arg }),
+    status: client => status(client),
+  };
+  if (!commands[command]) {
+    throw new Error("Usage: npm run migrate up [version] | down [steps] | "
+        + "status | create <name>");
+  }
+
+  const client = new Client({ connectionString: getDatabaseUri() });
+  await client.connect();
+  try {
+    const migrations = await commands[command](client);
+    if (command === "status") {
+      for (const { version, name, appliedAt } of migrations) {
+        const when = appliedAt ? appliedAt.toISOString() : "pending";
+        console.log(`${version}_${name}  ${when}`);
+      }
+    } else if (migrations.length === 0) {
+      console.log("Nothing to migrate");
+    } else {
+      for (const { version, name } of migrations) {
+        console.log(`${command} ${version}_${name}`);
+      }
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message.red);
+    process.exitCode = 1;
+  });
+}
+
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  ensureMigrationsTable,
+  status,
+  up,
+  down,
+  create,
+};
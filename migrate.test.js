@@ -0,0 +1,276 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Client } = require("pg");
+
+const { getDatabaseUri } = require("./config");
+const {
+  loadMigrations,
+  status,
+  up,
+  down,
+  create,
+} = require("./migrate");
+
+// Migrations here run in their own schema of the test database, so they
+// don't touch the tables the other tests use.
+const client = new Client({ connectionString: getDatabaseUri() });
+let dir;
+
+/** Write a migration's files to dir; down is left out if null. */
+function writeMigration(base, upSql, downSql) {
+  fs.writeFileSync(path.join(dir, `${base}.up.sql`), upSql);
+  if (downSql !== null) {
+    fs.writeFileSync(path.join(dir, `${base}.down.sql`), downSql);
+  }
+}
+
+async function tables() {
+  const result = await client.query(
+      `SELECT table_name
+         FROM information_schema.tables
+         WHERE table_schema = 'migrate_test'
+         ORDER BY table_name`);
+  return result.rows.map(r => r.table_name);
+}
+
+/** Each table's columns in schema, as "table.column type nullable". */
+async function columns(schema) {
+  const result = await client.query(
+      `SELECT table_name, column_name, data_type, is_nullable
+         FROM information_schema.columns
+         WHERE table_schema = $1
+         ORDER BY table_name, column_name`,
+      [schema]);
+  return result.rows.map(c => `${c.table_name}.${c.column_name} `
+      + `${c.data_type} ${c.is_nullable}`);
+}
+
+/** The columns of a database made by running every migration. */
+async function freshColumns() {
+  await client.query("CREATE SCHEMA migrate_fresh");
+  try {
+    await client.query("SET search_path TO migrate_fresh");
+    await up(client);
+    return await columns("migrate_fresh");
+  } finally {
+    await client.query("SET search_path TO migrate_test");
+    await client.query("DROP SCHEMA migrate_fresh CASCADE");
+  }
+}
+
+beforeAll(async function () {
+  await client.connect();
+});
+
+beforeEach(async function () {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+  writeMigration("0001_first", "CREATE TABLE companies (handle TEXT);",
+      "DROP TABLE companies;");
+  writeMigration("0002_second", "CREATE TABLE things (id INTEGER);",
+      "DROP TABLE things;");
+  await client.query("CREATE SCHEMA migrate_test");
+  await client.query("SET search_path TO migrate_test");
+});
+
+afterEach(async function () {
+  await client.query("DROP SCHEMA migrate_test CASCADE");
+  fs.rmSync(dir, { recursive: true });
+});
+
+afterAll(async function () {
+  await client.end();
+});
+
+/************************************** loadMigrations */
+
+describe("loadMigrations", function () {
+  test("works: in order of version", function () {
+    writeMigration("0010_tenth", "SELECT 10;", null);
+    fs.writeFileSync(path.join(dir, "notes.txt"), "not a migration");
+
+    const migrations = loadMigrations(dir);
+    expect(migrations.map(m => [m.version, m.name])).toEqual([
+      ["0001", "first"],
+      ["0002", "second"],
+      ["0010", "tenth"],
+    ]);
+    expect(migrations[2]).toEqual(
+        { version: "0010", name: "tenth", up: "SELECT 10;", down: null });
+  });
+
+  test("works: the repo's migrations all have down files", function () {
+    const migrations = loadMigrations();
+    expect(migrations[0]).toEqual(expect.objectContaining(
+        { version: "0001", name: "initial" }));
+    expect(migrations.every(m => m.down !== null)).toBeTruthy();
+  });
+
+  test("fails without an up file", function () {
+    fs.writeFileSync(path.join(dir, "0003_third.down.sql"), "SELECT 3;");
+    expect(() => loadMigrations(dir)).toThrow("0003_third has no up file");
+  });
+});
+
+/************************************** up */
+
+describe("up", function () {
+  test("works: runs pending migrations", async function () {
+    expect(await up(client, { dir })).toEqual([
+      { version: "0001", name: "first" },
+      { version: "0002", name: "second" },
+    ]);
+    expect(await tables()).toEqual(["companies", "schema_migrations", "things"]);
+
+    expect(await up(client, { dir })).toEqual([]);
+  });
+
+  test("works: up to a version", async function () {
+    expect(await up(client, { dir, to: "1" })).toEqual([
+      { version: "0001", name: "first" },
+    ]);
+    expect(await tables()).toEqual(["companies", "schema_migrations"]);
+  });
+
+  test("works: upgrades a database built from the original schema",
+      async function () {
+        const [initial, ...later] = loadMigrations();
+        await client.query(initial.up);
+        await client.query(`
+            INSERT INTO companies (handle, name, description)
+            VALUES ('c1', 'C1', 'Desc1');
+            INSERT INTO users (username, password, first_name, last_name, email)
+            VALUES ('u1', 'pw', 'U1F', 'U1L', 'u1@email.com');
+            INSERT INTO jobs (title, salary, equity, company_handle)
+            VALUES ('J1', 100, 0.1, 'c1');
+            INSERT INTO applications (username, job_id) VALUES ('u1', 1);`);
+
+        expect(await up(client)).toEqual(
+            later.map(({ version, name }) => ({ version, name })));
+        expect(await columns("migrate_test"))
+            .toEqual(await freshColumns());
+
+        const jobs = await client.query(
+            `SELECT salary_min, salary_max, status, posted_at FROM jobs`);
+        expect(jobs.rows).toEqual([{
+          salary_min: 100,
+          salary_max: 100,
+          status: "open",
+          posted_at: expect.any(Date),
+        }]);
+        const applications = await client.query(
+            `SELECT username, job_id, state FROM applications`);
+        expect(applications.rows).toEqual(
+            [{ username: "u1", job_id: 1, state: "applied" }]);
+      });
+
+  test("works: the seed data loads after upgrading", async function () {
+    const [initial] = loadMigrations();
+    await client.query(initial.up);
+    await up(client);
+
+    await client.query(
+        fs.readFileSync(path.join(__dirname, "jobly-seed.sql"), "utf8"));
+    const jobs = await client.query(
+        `SELECT COUNT(*) AS "count" FROM jobs WHERE status = 'open'`);
+    expect(Number(jobs.rows[0].count)).toBeGreaterThan(0);
+  });
+
+  test("fails for a database built from a later schema", async function () {
+    await client.query(`CREATE TABLE companies (handle TEXT);
+                        CREATE TABLE application_state_changes (id INTEGER);`);
+
+    try {
+      await up(client, { dir });
+      fail();
+    } catch (err) {
+      expect(err.message).toMatch(/later jobly-schema.sql/);
+    }
+    expect(await tables()).toEqual(["application_state_changes", "companies"]);
+  });
+
+  test("fails: rolls back a failed migration", async function () {
+    writeMigration("0003_broken",
+        "CREATE TABLE broken (id INTEGER); SELECT nope;", null);
+
+    try {
+      await up(client, { dir });
+      fail();
+    } catch (err) {
+      expect(err.message).toMatch(/^Migration 0003_broken failed/);
+    }
+    expect(await tables()).toEqual(["companies", "schema_migrations", "things"]);
+    const migrations = await status(client, { dir });
+    expect(migrations.map(m => m.appliedAt === null))
+        .toEqual([false, false, true]);
+  });
+});
+
+/************************************** down */
+
+describe("down", function () {
+  test("works: undoes the last migration", async function () {
+    await up(client, { dir });
+
+    expect(await down(client, { dir })).toEqual([
+      { version: "0002", name: "second" },
+    ]);
+    expect(await tables()).toEqual(["companies", "schema_migrations"]);
+  });
+
+  test("works: steps", async function () {
+    await up(client, { dir });
+
+    expect(await down(client, { dir, steps: 5 })).toEqual([
+      { version: "0002", name: "second" },
+      { version: "0001", name: "first" },
+    ]);
+    expect(await tables()).toEqual(["schema_migrations"]);
+  });
+
+  test("fails without a down file", async function () {
+    writeMigration("0003_oneway", "SELECT 3;", null);
+    await up(client, { dir });
+
+    try {
+      await down(client, { dir });
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("Migration 0003_oneway has no down file");
+    }
+  });
+});
+
+/************************************** status */
+
+describe("status", function () {
+  test("works", async function () {
+    await up(client, { dir, to: "1" });
+
+    expect(await status(client, { dir })).toEqual([
+      { version: "0001", name: "first", appliedAt: expect.any(Date) },
+      { version: "0002", name: "second", appliedAt: null },
+    ]);
+  });
+});
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: numbered after the last migration", function () {
+    const files = create("add-widgets", { dir });
+    expect(files.map(f => path.basename(f))).toEqual([
+      "0003_add_widgets.up.sql",
+      "0003_add_widgets.down.sql",
+    ]);
+    expect(loadMigrations(dir)[2]).toEqual(expect.objectContaining(
+        { version: "0003", name: "add_widgets" }));
+  });
+
+  test("fails for a bad name", function () {
+    expect(() => create("no spaces", { dir })).toThrow();
+    expect(() => create(undefined, { dir })).toThrow();
+  });
+});
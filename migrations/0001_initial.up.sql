@@ -1,3 +1,7 @@
+-- The schema jobly started with, from the original jobly-schema.sql.
+-- Databases built from that file are recorded as having run this migration
+-- the first time they migrate; the later migrations bring them up to date.
+
 CREATE TABLE companies (
   handle VARCHAR(25) PRIMARY KEY CHECK (handle = lower(handle)),
   name TEXT UNIQUE NOT NULL,
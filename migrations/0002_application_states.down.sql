@@ -0,0 +1,3 @@
+DROP TABLE application_state_changes;
+
+ALTER TABLE applications DROP COLUMN state;
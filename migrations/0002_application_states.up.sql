@@ -0,0 +1,15 @@
+ALTER TABLE applications
+  ADD COLUMN state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing',
+                     'offered', 'rejected', 'accepted'));
+
+CREATE TABLE application_state_changes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
@@ -0,0 +1 @@
+DROP INDEX companies_search_idx;
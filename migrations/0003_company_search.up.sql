@@ -0,0 +1,3 @@
+CREATE INDEX companies_search_idx ON companies
+  USING GIN ((setweight(to_tsvector('english', name), 'A')
+              || setweight(to_tsvector('english', description), 'B')));
@@ -0,0 +1,8 @@
+ALTER TABLE users
+  ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+
+-- refresh tokens issued so far are for every user's first version
+ALTER TABLE refresh_tokens
+  ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE refresh_tokens
+  ALTER COLUMN token_version DROP DEFAULT;
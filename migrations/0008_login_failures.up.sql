@@ -0,0 +1,9 @@
+CREATE TABLE login_failures (
+  scope TEXT NOT NULL
+    CHECK (scope IN ('username', 'ip')),
+  key TEXT NOT NULL,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMP,
+  PRIMARY KEY (scope, key)
+);
@@ -0,0 +1,37 @@
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL,
+  company_scoped BOOLEAN NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role TEXT
+    REFERENCES roles ON DELETE CASCADE,
+  permission TEXT,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE user_roles (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX user_roles_grant_idx
+  ON user_roles (username, role, COALESCE(company_handle, ''));
+
+INSERT INTO roles (name, description, company_scoped)
+VALUES ('site-admin', 'Manages companies and jobs across the site', FALSE),
+       ('company-admin', 'Manages a company and its jobs', TRUE),
+       ('recruiter', 'Posts and edits jobs for a company', TRUE);
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('site-admin', 'companies:write'),
+       ('site-admin', 'jobs:write'),
+       ('company-admin', 'companies:write'),
+       ('company-admin', 'jobs:write'),
+       ('recruiter', 'jobs:write');
@@ -0,0 +1,12 @@
+DROP TABLE company_members;
+
+DELETE FROM role_permissions
+WHERE permission = 'members:write'
+   OR (role = 'recruiter' AND permission = 'companies:write');
+
+-- also takes away the owner grants made with it
+DELETE FROM roles WHERE name = 'owner';
+
+UPDATE roles
+SET description = 'Posts and edits jobs for a company'
+WHERE name = 'recruiter';
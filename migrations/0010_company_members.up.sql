@@ -0,0 +1,27 @@
+-- Members of a company get their member role's permissions for it
+CREATE TABLE company_members (
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    REFERENCES roles
+    CHECK (role IN ('owner', 'recruiter')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (company_handle, username)
+);
+
+INSERT INTO roles (name, description, company_scoped)
+VALUES ('owner', 'Owns a company: manages it, its jobs and its members', TRUE);
+
+UPDATE roles
+SET description = 'Edits a company and posts and edits its jobs'
+WHERE name = 'recruiter';
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('site-admin', 'members:write'),
+       ('company-admin', 'members:write'),
+       ('owner', 'companies:write'),
+       ('owner', 'jobs:write'),
+       ('owner', 'members:write'),
+       ('recruiter', 'companies:write');
@@ -0,0 +1,16 @@
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor VARCHAR(25) NOT NULL,
+  action TEXT NOT NULL
+    CHECK (action IN ('create', 'update', 'delete')),
+  entity_type TEXT NOT NULL
+    CHECK (entity_type IN ('company', 'job', 'user')),
+  entity_id TEXT NOT NULL,
+  before_data JSONB,
+  after_data JSONB,
+  changes JSONB NOT NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id);
+CREATE INDEX audit_log_actor_idx ON audit_log (actor);
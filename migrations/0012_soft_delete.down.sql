@@ -0,0 +1,11 @@
+-- soft-deleted rows come back, and the record of restores and purges goes
+DELETE FROM audit_log WHERE action IN ('restore', 'purge');
+
+ALTER TABLE audit_log
+  DROP CONSTRAINT audit_log_action_check,
+  ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete'));
+
+ALTER TABLE jobs DROP COLUMN deleted_at;
+ALTER TABLE users DROP COLUMN deleted_at;
+ALTER TABLE companies DROP COLUMN deleted_at;
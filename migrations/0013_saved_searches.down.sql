@@ -0,0 +1,3 @@
+DROP TABLE saved_searches;
+
+ALTER TABLE jobs DROP COLUMN created_at;
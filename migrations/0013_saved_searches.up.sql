@@ -0,0 +1,15 @@
+-- jobs posted before this are taken to be new as of now
+ALTER TABLE jobs
+  ADD COLUMN created_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+CREATE TABLE saved_searches (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  -- milliseconds, so it survives the round trip through a JS Date
+  last_checked_at TIMESTAMP NOT NULL DEFAULT date_trunc('milliseconds', NOW()),
+  UNIQUE (username, name)
+);
@@ -0,0 +1,5 @@
+ALTER TABLE jobs
+  DROP COLUMN location,
+  DROP COLUMN remote_policy,
+  DROP COLUMN employment_type,
+  DROP COLUMN seniority;
@@ -0,0 +1,9 @@
+ALTER TABLE jobs
+  ADD COLUMN location TEXT,
+  ADD COLUMN remote_policy TEXT
+    CHECK (remote_policy IN ('remote', 'hybrid', 'onsite')),
+  ADD COLUMN employment_type TEXT
+    CHECK (employment_type IN ('full-time', 'part-time', 'contract',
+                               'internship')),
+  ADD COLUMN seniority TEXT
+    CHECK (seniority IN ('intern', 'junior', 'mid', 'senior', 'lead'));
@@ -0,0 +1,8 @@
+-- jobs keep the bottom of their range as their salary
+ALTER TABLE jobs
+  DROP COLUMN salary_max,
+  DROP COLUMN salary_currency,
+  DROP COLUMN salary_period;
+
+ALTER TABLE jobs RENAME CONSTRAINT jobs_salary_min_check TO jobs_salary_check;
+ALTER TABLE jobs RENAME COLUMN salary_min TO salary;
@@ -0,0 +1,11 @@
+ALTER TABLE jobs RENAME COLUMN salary TO salary_min;
+ALTER TABLE jobs RENAME CONSTRAINT jobs_salary_check TO jobs_salary_min_check;
+
+ALTER TABLE jobs
+  ADD COLUMN salary_max INTEGER CHECK (salary_max >= salary_min),
+  ADD COLUMN salary_currency CHAR(3) NOT NULL DEFAULT 'USD',
+  ADD COLUMN salary_period TEXT NOT NULL DEFAULT 'annual'
+    CHECK (salary_period IN ('hourly', 'annual'));
+
+-- a single-figure salary is a range from it to itself
+UPDATE jobs SET salary_max = salary_min;
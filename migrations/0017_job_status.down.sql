@@ -0,0 +1,4 @@
+ALTER TABLE jobs
+  DROP COLUMN status,
+  DROP COLUMN posted_at,
+  DROP COLUMN expires_at;
@@ -0,0 +1,8 @@
+ALTER TABLE jobs
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'open', 'closed', 'filled')),
+  ADD COLUMN posted_at TIMESTAMP,
+  ADD COLUMN expires_at TIMESTAMP;
+
+-- jobs from before statuses were all listed, so they stay open
+UPDATE jobs SET status = 'open', posted_at = created_at;
@@ -0,0 +1,16 @@
+ALTER TABLE company_members
+  DROP CONSTRAINT company_members_role_fkey,
+  ADD CONSTRAINT company_members_role_fkey
+    FOREIGN KEY (role) REFERENCES roles;
+
+DROP TABLE member_roles;
+
+-- also takes away the member-recruiter grants made with it
+DELETE FROM roles WHERE name = 'member-recruiter';
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('recruiter', 'companies:write');
+
+UPDATE roles
+SET description = 'Edits a company and posts and edits its jobs'
+WHERE name = 'recruiter';
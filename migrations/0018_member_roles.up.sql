@@ -0,0 +1,31 @@
+-- Member roles name the role whose permissions a company member gets, so a
+-- recruiter member can edit their company without widening the recruiter
+-- role granted through user_roles
+CREATE TABLE member_roles (
+  name TEXT PRIMARY KEY,
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE
+);
+
+INSERT INTO roles (name, description, company_scoped)
+VALUES ('member-recruiter', 'Edits a company and posts and edits its jobs', TRUE);
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('member-recruiter', 'companies:write'),
+       ('member-recruiter', 'jobs:write');
+
+DELETE FROM role_permissions
+WHERE role = 'recruiter' AND permission = 'companies:write';
+
+UPDATE roles
+SET description = 'Posts and edits jobs for a company'
+WHERE name = 'recruiter';
+
+INSERT INTO member_roles (name, role)
+VALUES ('owner', 'owner'),
+       ('recruiter', 'member-recruiter');
+
+ALTER TABLE company_members
+  DROP CONSTRAINT company_members_role_fkey,
+  ADD CONSTRAINT company_members_role_fkey
+    FOREIGN KEY (role) REFERENCES member_roles;
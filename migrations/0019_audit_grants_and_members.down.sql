@@ -0,0 +1,6 @@
+DELETE FROM audit_log WHERE entity_type IN ('grant', 'member');
+
+ALTER TABLE audit_log
+  DROP CONSTRAINT audit_log_entity_type_check,
+  ADD CONSTRAINT audit_log_entity_type_check
+    CHECK (entity_type IN ('company', 'job', 'user'));
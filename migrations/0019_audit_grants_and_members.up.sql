@@ -0,0 +1,4 @@
+ALTER TABLE audit_log
+  DROP CONSTRAINT audit_log_entity_type_check,
+  ADD CONSTRAINT audit_log_entity_type_check
+    CHECK (entity_type IN ('company', 'job', 'user', 'grant', 'member'));
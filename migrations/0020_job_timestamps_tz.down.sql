@@ -0,0 +1,3 @@
+ALTER TABLE jobs
+  ALTER COLUMN posted_at TYPE TIMESTAMP,
+  ALTER COLUMN expires_at TYPE TIMESTAMP;
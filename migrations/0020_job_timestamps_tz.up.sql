@@ -0,0 +1,4 @@
+-- expiresAt comes in as a date-time with an offset, so keep the offset
+ALTER TABLE jobs
+  ALTER COLUMN posted_at TYPE TIMESTAMPTZ,
+  ALTER COLUMN expires_at TYPE TIMESTAMPTZ;
@@ -32,21 +32,46 @@ async function commonBeforeAll() {
       
       
   const resultsJobs = await db.query(`
-    INSERT INTO jobs (title, salary, equity, company_handle)
-    VALUES  ('Job1', 100, '0.5', 'c1'),
-            ('Job2', 150, NULL, 'c2'),
-            ('Job3', 200, '0.01', 'c1')
-    returning id, title, salary, equity, company_handle AS "companyHandle"`);
+    INSERT INTO jobs (title, salary_min, salary_max, equity, company_handle,
+                      location, remote_policy, employment_type, seniority,
+                      status, posted_at)
+    VALUES  ('Job1', 100, 100, '0.5', 'c1',
+             'New York, NY', 'onsite', 'full-time', 'senior',
+             'open', NOW()),
+            ('Job2', 150, 150, NULL, 'c2',
+             NULL, 'remote', 'contract', 'mid',
+             'open', NOW()),
+            ('Job3', 200, 200, '0.01', 'c1',
+             'Boston, MA', 'hybrid', 'full-time', 'junior',
+             'open', NOW())
+    returning id, title, salary_min AS salary,
+              salary_min AS "salaryMin", salary_max AS "salaryMax",
+              salary_currency AS "salaryCurrency",
+              salary_period AS "salaryPeriod",
+              equity, company_handle AS "companyHandle",
+              location, remote_policy AS "remotePolicy",
+              employment_type AS "employmentType", seniority,
+              status, posted_at AS "postedAt", expires_at AS "expiresAt"`);
   
   resultsJobs.rows.forEach(ele => testJobs.push(ele));
+
+  await db.query(`
+    INSERT INTO applications (username, job_id)
+    VALUES ('u1', $1)`,
+    [testJobs[0].id]);
 }
 
+// each test runs in a transaction that's rolled back after it
+let transaction;
+
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  transaction = await db.begin();
+  db.useTransaction(transaction);
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  db.useTransaction(null);
+  await transaction.rollback();
 }
 
 async function commonAfterAll() {
@@ -0,0 +1,222 @@
+"use strict";
+
+const db = require("../db");
+const { sqlForPagination } = require("../helpers/pagination");
+
+/** Where each audited entity type lives: its table, its key column (or SQL
+ * for it) and the key's name on the objects the models return. Columns left
+ * out of snapshots are listed in hidden.
+ *
+ * A company member is keyed "handle/username", so its creates need an
+ * entityId.
+ */
+const AUDITED_ENTITIES = {
+  company: { table: "companies", column: "handle", field: "handle" },
+  job: { table: "jobs", column: "id", field: "id" },
+  user: {
+    table: "users",
+    column: "username",
+    field: "username",
+    hidden: ["password"],
+  },
+  grant: { table: "user_roles", column: "id", field: "id" },
+  member: {
+    table: "company_members",
+    column: "company_handle || '/' || username",
+  },
+};
+
+/** Related functions for the audit log.
+ *
+ * Every create, update, delete, restore and purge of a company, job or user
+ * through the API is recorded with who made it, a snapshot of the row before
+ * and after (null if there was none), and the fields that changed. So are
+ * role grants and revokes ("grant") and company members added and removed
+ * ("member"), as creates and deletes.
+ */
+
+class Audit {
+  /** Run mutate, an async function changing one entity, and record it.
+   *
+   * change should be { actor, action, entityType, entityId }
+   *   where action is "create", "update", "delete" (soft, except for grants
+   *   and members), "restore" or "purge". entityId can be left out of
+   *   creates; it's then read off what mutate returns.
+   *
+   * mutate and the record run in one transaction (see db.withTransaction),
+   * so if either fails, neither is saved.
+   *
+   * Returns whatever mutate returns.
+   **/
+
+  static async track({ actor, action, entityType, entityId }, mutate) {
+    return db.withTransaction(async () => {
+      const entity = AUDITED_ENTITIES[entityType];
+
+      const before = action === "create"
+          ? null
+          : await Audit._snapshot(entityType, entityId);
+
+      const result = await mutate();
+
+      const id = entityId === undefined ? result[entity.field] : entityId;
+      const after = await Audit._snapshot(entityType, id);
+
+      await db.query(
+            `INSERT INTO audit_log (actor, action, entity_type, entity_id,
+                                    before_data, after_data, changes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [actor, action, entityType, String(id),
+            before, after, Audit.diff(before, after)],
+      );
+
+      return result;
+    });
+  }
+
+  /** Find audit log entries, newest first, matching the filters.
+   *
+   * filterBy can include:
+   * - actor (username)
+   * - entityType ("company", "job", "user", "grant" or "member")
+   * - entityId
+   * - from, to (dates or date-times; inclusive)
+   *
+   * page is optional { limit, offset }; see sqlForPagination.
+   *
+   * Returns [{ id, actor, action, entityType, entityId, before, after,
+   *            changes, changedAt }, ...]
+   *   where changes is { field: { before, after }, ... }
+   **/
+
+  static async findAll(filterBy = {}, page = {}) {
+    const { whereClause, whereValues } = Audit._whereFromFilters(filterBy);
+    const { limit, offset } = sqlForPagination(
+        { limit: page.limit, offset: page.offset },
+        { changedAt: "changed_at" },
+        "changedAt");
+
+    const result = await db.query(
+          `SELECT id,
+                  actor,
+                  action,
+                  entity_type AS "entityType",
+                  entity_id AS "entityId",
+                  before_data AS "before",
+                  after_data AS "after",
+                  changes,
+                  changed_at AS "changedAt"
+           FROM audit_log
+           ${whereClause}
+           ORDER BY changed_at DESC, id DESC
+           LIMIT $${whereValues.length + 1}
+           OFFSET $${whereValues.length + 2}`,
+        [...whereValues, limit, offset],
+    );
+
+    return result.rows;
+  }
+
+  /** Count the audit log entries matching the filters (same filters as
+   * findAll).
+   *
+   * Returns a number
+   **/
+
+  static async count(filterBy = {}) {
+    const { whereClause, whereValues } = Audit._whereFromFilters(filterBy);
+
+    const result = await db.query(
+          `SELECT COUNT(*) AS "total"
+           FROM audit_log
+           ${whereClause}`,
+        whereValues,
+    );
+
+    return Number(result.rows[0].total);
+  }
+
+  /** Fields that differ between two snapshots (either may be null).
+   *
+   * Returns { field: { before, after }, ... }
+   **/
+
+  static diff(before, after) {
+    const changes = {};
+    const fields = new Set([
+      ...Object.keys(before || {}),
+      ...Object.keys(after || {}),
+    ]);
+
+    for (let field of fields) {
+      const was = before ? before[field] : undefined;
+      const now = after ? after[field] : undefined;
+      if (JSON.stringify(was) !== JSON.stringify(now)) {
+        changes[field] = {
+          before: was === undefined ? null : was,
+          after: now === undefined ? null : now,
+        };
+      }
+    }
+
+    return changes;
+  }
+
+  /* helper function to get a row of an audited table as JSON, or null. */
+  static async _snapshot(entityType, entityId) {
+    const { table, column, hidden = [] } = AUDITED_ENTITIES[entityType];
+
+    const result = await db.query(
+          `SELECT to_jsonb(t) - $2::text[] AS snapshot
+           FROM ${table} AS t
+           WHERE ${column} = $1`,
+        [entityId, hidden],
+    );
+
+    return result.rows[0] ? result.rows[0].snapshot : null;
+  }
+
+  /* helper function building the where clause for findAll and count. */
+  static _whereFromFilters({ actor, entityType, entityId, from, to }) {
+    const whereClause = [];
+    const whereValues = [];
+
+    if (actor !== undefined) {
+      whereValues.push(actor);
+      whereClause.push(`actor = $${whereValues.length}`);
+    }
+
+    if (entityType !== undefined) {
+      whereValues.push(entityType);
+      whereClause.push(`entity_type = $${whereValues.length}`);
+    }
+
+    if (entityId !== undefined) {
+      whereValues.push(String(entityId));
+      whereClause.push(`entity_id = $${whereValues.length}`);
+    }
+
+    if (from !== undefined) {
+      whereValues.push(from);
+      whereClause.push(`changed_at >= $${whereValues.length}::timestamp`);
+    }
+
+    // a bare date for "to" covers that whole day
+    if (to !== undefined) {
+      whereValues.push(to);
+      whereClause.push(/^\d{4}-\d{2}-\d{2}$/.test(to)
+          ? `changed_at < $${whereValues.length}::date + 1`
+          : `changed_at <= $${whereValues.length}::timestamp`);
+    }
+
+    return {
+      whereClause: whereClause.length > 0
+          ? "WHERE " + whereClause.join(" AND ")
+          : "",
+      whereValues,
+    };
+  }
+}
+
+
+module.exports = Audit;
@@ -0,0 +1,189 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const Audit = require("./audit.js");
+const Company = require("./company.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newCompany = {
+  handle: "new",
+  name: "New",
+  description: "New Description",
+  numEmployees: 1,
+  logoUrl: "http://new.img",
+};
+
+/************************************** track */
+
+describe("track", function () {
+  test("works: create", async function () {
+    const company = await Audit.track(
+        { actor: "u1", action: "create", entityType: "company" },
+        () => Company.create(newCompany));
+    expect(company).toEqual(newCompany);
+
+    const entries = await Audit.findAll();
+    expect(entries).toEqual([{
+      id: expect.any(Number),
+      actor: "u1",
+      action: "create",
+      entityType: "company",
+      entityId: "new",
+      before: null,
+      after: {
+        handle: "new",
+        name: "New",
+        description: "New Description",
+        num_employees: 1,
+        logo_url: "http://new.img",
+        deleted_at: null,
+      },
+      changes: expect.objectContaining({
+        name: { before: null, after: "New" },
+      }),
+      changedAt: expect.any(Date),
+    }]);
+  });
+
+  test("works: update records only changed fields", async function () {
+    await Audit.track(
+        { actor: "u1", action: "update", entityType: "company",
+          entityId: "c1" },
+        () => Company.update("c1", { name: "C1-new", numEmployees: 1 }));
+
+    const [entry] = await Audit.findAll();
+    expect(entry.before.name).toEqual("C1");
+    expect(entry.after.name).toEqual("C1-new");
+    expect(entry.changes).toEqual({ name: { before: "C1", after: "C1-new" } });
+  });
+
+  test("works: delete", async function () {
+    await Audit.track(
+        { actor: "u1", action: "delete", entityType: "company",
+          entityId: "c1" },
+        () => Company.remove("c1"));
+
+    const [entry] = await Audit.findAll();
+    expect(entry.before.handle).toEqual("c1");
+    expect(entry.changes).toEqual({
+      deleted_at: { before: null, after: expect.any(String) },
+    });
+  });
+
+  test("works: purge", async function () {
+    await Audit.track(
+        { actor: "u1", action: "purge", entityType: "company",
+          entityId: "c1" },
+        () => Company.purge("c1"));
+
+    const [entry] = await Audit.findAll();
+    expect(entry.before.handle).toEqual("c1");
+    expect(entry.after).toBeNull();
+  });
+
+  test("leaves out user passwords", async function () {
+    await Audit.track(
+        { actor: "u1", action: "update", entityType: "user",
+          entityId: "u2" },
+        () => User.update("u2", { password: "new-password" }));
+
+    const [entry] = await Audit.findAll();
+    expect(entry.before.password).toBeUndefined();
+    expect(entry.after.password).toBeUndefined();
+    expect(entry.changes).toEqual({
+      token_version: { before: 0, after: 1 },
+    });
+  });
+
+  test("records nothing if the change fails", async function () {
+    try {
+      await Audit.track(
+          { actor: "u1", action: "update", entityType: "company",
+            entityId: "nope" },
+          () => Company.update("nope", { name: "Nope" }));
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+    expect(await Audit.count()).toEqual(0);
+  });
+});
+
+/************************************** diff */
+
+describe("diff", function () {
+  test("works", function () {
+    expect(Audit.diff({ a: 1, b: 2 }, { a: 1, b: 3, c: 4 })).toEqual({
+      b: { before: 2, after: 3 },
+      c: { before: null, after: 4 },
+    });
+  });
+
+  test("works: no changes", function () {
+    expect(Audit.diff({ a: 1 }, { a: 1 })).toEqual({});
+  });
+});
+
+/************************************** findAll / count */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await db.query(
+        `INSERT INTO audit_log (actor, action, entity_type, entity_id,
+                                changes, changed_at)
+         VALUES ('u1', 'update', 'company', 'c1', '{}', '2026-01-01 10:00'),
+                ('u2', 'delete', 'job', '7', '{}', '2026-01-02 10:00'),
+                ('u1', 'create', 'user', 'u3', '{}', '2026-01-03 10:00')`);
+  });
+
+  test("works: newest first", async function () {
+    const entries = await Audit.findAll();
+    expect(entries.map(e => e.entityId)).toEqual(["u3", "7", "c1"]);
+    expect(await Audit.count()).toEqual(3);
+  });
+
+  test("works: by actor", async function () {
+    const filters = { actor: "u1" };
+    const entries = await Audit.findAll(filters);
+    expect(entries.map(e => e.entityId)).toEqual(["u3", "c1"]);
+    expect(await Audit.count(filters)).toEqual(2);
+  });
+
+  test("works: by entity", async function () {
+    const entries = await Audit.findAll({ entityType: "job", entityId: 7 });
+    expect(entries.map(e => e.action)).toEqual(["delete"]);
+  });
+
+  test("works: by date range", async function () {
+    const entries = await Audit.findAll({
+      from: "2026-01-02",
+      to: "2026-01-02",
+    });
+    expect(entries.map(e => e.entityId)).toEqual(["7"]);
+  });
+
+  test("works: by date-time range", async function () {
+    const entries = await Audit.findAll({
+      from: "2026-01-01T12:00:00",
+      to: "2026-01-03T09:00:00",
+    });
+    expect(entries.map(e => e.entityId)).toEqual(["7"]);
+  });
+
+  test("works: paged", async function () {
+    const entries = await Audit.findAll({}, { limit: 1, offset: 1 });
+    expect(entries.map(e => e.entityId)).toEqual(["7"]);
+  });
+});
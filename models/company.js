@@ -1,9 +1,17 @@
 "use strict";
 
+const { DatabaseError } = require("pg");
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
-const Job = require("./job")
+const { sqlForPagination } = require("../helpers/pagination");
+const { streamRows } = require("../helpers/cursor");
+const { sqlForSnippet } = require("../helpers/snippet");
+const Audit = require("./audit");
+
+/** tsvector searched by Company.search; must match companies_search_idx. */
+const COMPANY_DOCUMENT = `(setweight(to_tsvector('english', name), 'A')
+                           || setweight(to_tsvector('english', description), 'B'))`;
 
 /** Related functions for companies. */
 
@@ -14,19 +22,11 @@ class Company {
    *
    * Returns { handle, name, description, numEmployees, logoUrl }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws BadRequestError if a company with the handle or name is already
+   * in database.
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-        `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-        [handle]);
-
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
-
     const result = await db.query(
         `INSERT INTO companies(
           handle,
@@ -36,6 +36,7 @@ class Company {
           logo_url)
            VALUES
              ($1, $2, $3, $4, $5)
+           ON CONFLICT DO NOTHING
            RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
         [
           handle,
@@ -47,41 +48,161 @@ class Company {
     );
     const company = result.rows[0];
 
+    if (!company) throw new BadRequestError(`Duplicate company: ${handle}`);
+
     return company;
   }
 
+  /** Create or update many companies at once (from companies), matching on
+   * handle. Updates replace name and description; numEmployees and logoUrl
+   * are kept when not given.
+   *
+   * companies should be [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *
+   * Companies that can't be saved are rejected, and the rest saved in one
+   * transaction. Each is saved in its own savepoint, so one the database
+   * refuses (say, with a negative numEmployees) is rejected with the
+   * database's error and the others are still saved. Each save is recorded
+   * in the audit log as made by actor (see Audit.track). With dryRun,
+   * nothing is saved.
+   *
+   * Returns [{ handle, result, errors }, ...] in the order given, where
+   * result is "created", "updated" or "rejected" (with errors).
+   * */
+
+  static async importMany(companies, { dryRun = false, actor } = {}) {
+    const handles = companies.map(c => c.handle);
+    const existingRes = await db.query(
+        `SELECT handle, name, deleted_at AS "deletedAt"
+           FROM companies
+           WHERE handle = ANY($1) OR name = ANY($2)`,
+        [handles, companies.map(c => c.name)]);
+    const existing = new Map(existingRes.rows.map(c => [c.handle, c]));
+    const nameOwners = new Map(existingRes.rows.map(c => [c.name, c.handle]));
+
+    const seenHandles = new Set();
+    const seenNames = new Set();
+    const results = companies.map(({ handle, name }) => {
+      const errors = [];
+      if (handle !== handle.toLowerCase()) {
+        errors.push("handle must be lowercase");
+      }
+      if (seenHandles.has(handle)) {
+        errors.push(`Duplicate company in import: ${handle}`);
+      }
+      if (existing.get(handle)?.deletedAt) {
+        errors.push(`Company ${handle} is deleted; restore it first`);
+      }
+      if (seenNames.has(name)
+          || (nameOwners.has(name) && nameOwners.get(name) !== handle)) {
+        errors.push(`Duplicate company name: ${name}`);
+      }
+      seenHandles.add(handle);
+      seenNames.add(name);
+
+      if (errors.length) return { handle, result: "rejected", errors };
+      return { handle, result: existing.has(handle) ? "updated" : "created" };
+    });
+
+    if (!dryRun) {
+      await db.withTransaction(async () => {
+        for (const [i, { handle, ...data }] of companies.entries()) {
+          // Audit.track's transaction nests in this one as a savepoint
+          try {
+            if (results[i].result === "created") {
+              await Audit.track(
+                  { actor, action: "create", entityType: "company" },
+                  () => Company.create({ handle, ...data }));
+            } else if (results[i].result === "updated") {
+              await Audit.track(
+                  { actor, action: "update", entityType: "company",
+                    entityId: handle },
+                  () => Company.update(handle, data));
+            }
+          } catch (err) {
+            if (!(err instanceof DatabaseError
+                  || err instanceof BadRequestError)) throw err;
+            results[i] = { handle, result: "rejected", errors: [err.message] };
+          }
+        }
+      });
+    }
+
+    return results;
+  }
+
   /** Find all companies that match by the filter condition, 
    * if no filter condition gets all compnaies.
    *
+   * page is optional { limit, offset, sort, direction }, where sort is one
+   * of Company.sortableColumns (default name); see sqlForPagination.
+   *
    * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
    * */
 
-  static async findAll(filterBy) {
-    
-    let whereClause = "";
-    let whereValues = [];
-    if(filterBy instanceof Object && Object.keys(filterBy).length > 0){
-      let { minEmp, maxEmp, name } = filterBy;
-      
-      let whereStatement = Company._sqlWhereBuilder(name, minEmp, maxEmp);
-      
-      whereClause = whereStatement.whereClause;
-      whereValues = whereStatement.whereValues;
-    }
-    
-    const companiesRes = await db.query(
-        `SELECT handle,
+  static async findAll(filterBy, page) {
+    const { text, values } = Company._findAllQuery(filterBy, page);
+    const companiesRes = await db.query(text, values);
+    return companiesRes.rows;
+  }
+
+  /** Same as findAll, but returns an async iterator over the companies,
+   * read from the database a batch at a time; see streamRows.
+   * */
+
+  static streamAll(filterBy, page) {
+    const { text, values } = Company._findAllQuery(filterBy, page);
+    return streamRows(db, text, values);
+  }
+
+  /* helper function that builds the query for findAll and streamAll */
+  static _findAllQuery(filterBy, page) {
+    const { whereClause, whereValues } = Company._whereFromFilters(filterBy);
+    const { orderBy, limit, offset } = sqlForPagination(
+        page, Company.sortableColumns, "name");
+
+    return {
+      text: `SELECT handle,
                 name,
                 description,
                 num_employees AS "numEmployees",
                 logo_url AS "logoUrl"
            FROM companies
            ${whereClause}
-           ORDER BY name`,
+           ORDER BY ${orderBy}, handle
+           LIMIT $${whereValues.length + 1}
+           OFFSET $${whereValues.length + 2}`,
+      values: [...whereValues, limit, offset],
+    };
+  }
+
+  /** Count the companies that match by the filter condition,
+   * if no filter condition counts all companies.
+   *
+   * Returns a number
+   * */
+
+  static async count(filterBy) {
+    const { whereClause, whereValues } = Company._whereFromFilters(filterBy);
+
+    const countRes = await db.query(
+        `SELECT COUNT(*) AS "total"
+           FROM companies
+           ${whereClause}`,
            whereValues);
-           
-    return companiesRes.rows;
-    
+
+    return Number(countRes.rows[0].total);
+  }
+
+  /* 
+    helper function that pulls the filters findAll and count understand out
+    of filterBy and builds the where clause for them.
+  */
+  static _whereFromFilters(filterBy) {
+    if (!(filterBy instanceof Object)) filterBy = {};
+
+    const { minEmp, maxEmp, name } = filterBy;
+    return Company._sqlWhereBuilder(name, minEmp, maxEmp);
   }
   
   /* 
@@ -90,7 +211,8 @@ class Company {
   */
   static _sqlWhereBuilder(name, min, max){
     
-    let whereClause = [];
+    // soft-deleted companies never match
+    let whereClause = ["deleted_at IS NULL"];
     let whereValues = [];
     
     // need to do the values separately otherwise no SQL injection protection
@@ -113,7 +235,9 @@ class Company {
     }
     
     
-    whereClause = "WHERE "+ whereClause.join(" AND ")
+    whereClause = whereClause.length > 0
+        ? "WHERE " + whereClause.join(" AND ")
+        : "";
     return {
         whereClause,
         whereValues
@@ -121,31 +245,73 @@ class Company {
 
   }
 
+  /** Full-text search of companies by name and description.
+   *
+   * q is free text as a user would type it ("remote python", "-staffing");
+   * name matches rank above description matches.
+   *
+   * Returns [{ handle, name, numEmployees, logoUrl, rank, snippet }, ...]
+   *   best match first, where snippet is the matching text with the
+   *   matched words wrapped in <mark></mark>
+   * */
+
+  static async search(q, limit = 10) {
+    const searchRes = await db.query(
+        `SELECT handle,
+                name,
+                num_employees AS "numEmployees",
+                logo_url AS "logoUrl",
+                ts_rank(${COMPANY_DOCUMENT}, query) AS rank,
+                ${sqlForSnippet("name || ': ' || description", "query",
+                                "MaxFragments=2")} AS snippet
+           FROM companies,
+                websearch_to_tsquery('english', $1) AS query
+           WHERE ${COMPANY_DOCUMENT} @@ query
+             AND deleted_at IS NULL
+           ORDER BY rank DESC, name
+           LIMIT $2`,
+        [q, limit]);
+
+    return searchRes.rows;
+  }
+
   /** Given a company handle, return data about company.
    *
    * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   *   where jobs is [{ id, title, salary, equity }, ...] by title, its open
+   *   jobs only
    *
    * Throws NotFoundError if not found.
    **/
 
   static async get(handle) {
     const companyRes = await db.query(
-        `SELECT handle,
-                name,
-                description,
-                num_employees AS "numEmployees",
-                logo_url AS "logoUrl"
-           FROM companies
-           WHERE handle = $1`,
+        `SELECT c.handle,
+                c.name,
+                c.description,
+                c.num_employees AS "numEmployees",
+                c.logo_url AS "logoUrl",
+                COALESCE(
+                  json_agg(json_build_object(
+                             'id', j.id,
+                             'title', j.title,
+                             'salary', j.salary_min,
+                             'equity', j.equity::TEXT)
+                           ORDER BY j.title, j.id)
+                    FILTER (WHERE j.id IS NOT NULL),
+                  '[]') AS jobs
+           FROM companies AS c
+                LEFT JOIN jobs AS j
+                  ON j.company_handle = c.handle
+                     AND j.deleted_at IS NULL
+                     AND j.status = 'open'
+                     AND (j.expires_at IS NULL OR j.expires_at > NOW())
+           WHERE c.handle = $1 AND c.deleted_at IS NULL
+           GROUP BY c.handle`,
         [handle]);
     
     const company = companyRes.rows[0];
 
-    const jobs = Job.findAll({ companyHandle : handle });
-    
-    company["jobs"] = jobs;
-
     if (!company) throw new NotFoundError(`No company: ${handle}`);
 
     return company;
@@ -175,7 +341,7 @@ class Company {
     const querySql = `
       UPDATE companies
       SET ${setCols}
-      WHERE handle = ${handleVarIdx}
+      WHERE handle = ${handleVarIdx} AND deleted_at IS NULL
       RETURNING handle, 
         name,
         description,
@@ -189,12 +355,162 @@ class Company {
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Find the members of a company.
+   *
+   * Returns [{ username, firstName, lastName, role }, ...]
+   *   where role is "owner" or "recruiter"
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async findMembers(handle) {
+    await Company._checkCompany(handle);
+
+    const result = await db.query(
+        `SELECT u.username,
+                u.first_name AS "firstName",
+                u.last_name AS "lastName",
+                m.role
+           FROM company_members AS m
+                JOIN users AS u ON u.username = m.username
+           WHERE m.company_handle = $1 AND u.deleted_at IS NULL
+           ORDER BY m.role, u.username`,
+        [handle]);
+
+    return result.rows;
+  }
+
+  /** Add a user to a company as an "owner" or "recruiter".
+   *
+   * Returns { companyHandle, username, role }
+   *
+   * Throws NotFoundError if company or user not found, and BadRequestError
+   * if the user is already a member.
+   **/
+
+  static async addMember(handle, username, role) {
+    await Company._checkCompany(handle);
+
+    const userCheck = await db.query(
+        `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username]);
+
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const duplicateCheck = await db.query(
+        `SELECT username
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2`,
+        [handle, username]);
+
+    if (duplicateCheck.rows[0]) {
+      throw new BadRequestError(`Duplicate member: ${username} of ${handle}`);
+    }
+
+    const result = await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+           VALUES ($1, $2, $3)
+           RETURNING company_handle AS "companyHandle", username, role`,
+        [handle, username, role]);
+
+    return result.rows[0];
+  }
+
+  /** Remove a user from a company; returns undefined.
+   *
+   * Throws NotFoundError if the user is not a member.
+   **/
+
+  static async removeMember(handle, username) {
+    const result = await db.query(
+        `DELETE
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+        [handle, username]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No member: ${username} of ${handle}`);
+    }
+  }
+
+  /** Soft-delete given company and its jobs; returns undefined.
+   *
+   * The company and jobs stay in the database, hidden, until restored or
+   * purged. The jobs are marked with the company's deletion time so restore
+   * brings back just those.
    *
    * Throws NotFoundError if company not found.
    **/
 
   static async remove(handle) {
+    return db.withTransaction(async () => {
+      const result = await db.query(
+          `UPDATE companies
+             SET deleted_at = NOW()
+             WHERE handle = $1 AND deleted_at IS NULL
+             RETURNING handle, deleted_at AS "deletedAt"`,
+          [handle]);
+      const company = result.rows[0];
+
+      if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+      await db.query(
+          `UPDATE jobs
+             SET deleted_at = $2
+             WHERE company_handle = $1 AND deleted_at IS NULL`,
+          [handle, company.deletedAt]);
+    });
+  }
+
+  /** Restore a soft-deleted company, along with the jobs deleted with it.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if there is no soft-deleted company with handle.
+   **/
+
+  static async restore(handle) {
+    return db.withTransaction(async () => {
+      const deletedRes = await db.query(
+          `SELECT deleted_at AS "deletedAt"
+             FROM companies
+             WHERE handle = $1 AND deleted_at IS NOT NULL`,
+          [handle]);
+      const deleted = deletedRes.rows[0];
+
+      if (!deleted) throw new NotFoundError(`No deleted company: ${handle}`);
+
+      await db.query(
+          `UPDATE jobs
+             SET deleted_at = NULL
+             WHERE company_handle = $1 AND deleted_at = $2`,
+          [handle, deleted.deletedAt]);
+
+      const result = await db.query(
+          `UPDATE companies
+             SET deleted_at = NULL
+             WHERE handle = $1
+             RETURNING handle,
+                       name,
+                       description,
+                       num_employees AS "numEmployees",
+                       logo_url AS "logoUrl"`,
+          [handle]);
+
+      return result.rows[0];
+    });
+  }
+
+  /** Permanently delete given company, whether or not soft-deleted, along
+   * with its jobs and their applications; returns undefined.
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async purge(handle) {
     const result = await db.query(
         `DELETE
            FROM companies
@@ -205,7 +521,26 @@ class Company {
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
   }
+
+  /* helper function to throw NotFoundError if no such company. */
+  static async _checkCompany(handle) {
+    const companyCheck = await db.query(
+        `SELECT handle
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`,
+        [handle]);
+
+    if (!companyCheck.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+  }
 }
 
 
+/** Keys GET /companies can sort by, mapped to their database columns. */
+Company.sortableColumns = {
+  handle: "handle",
+  name: "name",
+  numEmployees: "num_employees",
+};
+
+
 module.exports = Company;
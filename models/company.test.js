@@ -8,6 +8,7 @@ const {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobs,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -54,6 +55,129 @@ describe("create", function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test("bad request with dupe name", async function () {
+    try {
+      await Company.create({ ...newCompany, name: "C1" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: the company is still usable after a dupe", async function () {
+    await Company.create(newCompany).catch(() => {});
+    await Company.create(newCompany).catch(() => {});
+    const company = await Company.get("new");
+    expect(company.name).toEqual("New");
+  });
+});
+
+/************************************** importMany */
+
+describe("importMany", function () {
+  test("works: creates and updates", async function () {
+    const results = await Company.importMany([
+      { handle: "new", name: "New", description: "New Description" },
+      { handle: "c1", name: "C1 Renamed", description: "Updated" },
+    ], { actor: "u1" });
+    expect(results).toEqual([
+      { handle: "new", result: "created" },
+      { handle: "c1", result: "updated" },
+    ]);
+
+    const result = await db.query(
+          `SELECT handle, name, description, num_employees, logo_url
+           FROM companies
+           WHERE handle IN ('new', 'c1')
+           ORDER BY handle`);
+    expect(result.rows).toEqual([
+      {
+        handle: "c1",
+        name: "C1 Renamed",
+        description: "Updated",
+        num_employees: 1,
+        logo_url: "http://c1.img",
+      },
+      {
+        handle: "new",
+        name: "New",
+        description: "New Description",
+        num_employees: null,
+        logo_url: null,
+      },
+    ]);
+  });
+
+  test("works: records each save in the audit log", async function () {
+    await Company.importMany([
+      { handle: "new", name: "New", description: "New" },
+      { handle: "c1", name: "C1", description: "Updated" },
+    ], { actor: "u1" });
+
+    const audit = await db.query(
+          `SELECT actor, action, entity_id FROM audit_log
+           WHERE entity_type = 'company'
+           ORDER BY entity_id`);
+    expect(audit.rows).toEqual([
+      { actor: "u1", action: "update", entity_id: "c1" },
+      { actor: "u1", action: "create", entity_id: "new" },
+    ]);
+  });
+
+  test("rejects bad rows and saves the rest", async function () {
+    await Company.remove("c3");
+    const results = await Company.importMany([
+      { handle: "new", name: "New", description: "New" },
+      { handle: "new", name: "Newer", description: "Newer" },
+      { handle: "Up", name: "Up", description: "Up" },
+      { handle: "c3", name: "C3", description: "C3" },
+      { handle: "c4", name: "C2", description: "Taken name" },
+    ], { actor: "u1" });
+    expect(results).toEqual([
+      { handle: "new", result: "created" },
+      { handle: "new", result: "rejected",
+        errors: ["Duplicate company in import: new"] },
+      { handle: "Up", result: "rejected",
+        errors: ["handle must be lowercase"] },
+      { handle: "c3", result: "rejected",
+        errors: ["Company c3 is deleted; restore it first"] },
+      { handle: "c4", result: "rejected",
+        errors: ["Duplicate company name: C2"] },
+    ]);
+
+    const result = await db.query(
+          `SELECT handle FROM companies WHERE handle IN ('new', 'up', 'c4')`);
+    expect(result.rows).toEqual([{ handle: "new" }]);
+  });
+
+  test("rejects rows the database refuses and saves the rest",
+      async function () {
+        const results = await Company.importMany([
+          { handle: "neg", name: "Neg", description: "Neg", numEmployees: -1 },
+          { handle: "new", name: "New", description: "New" },
+        ], { actor: "u1" });
+        expect(results).toEqual([
+          { handle: "neg", result: "rejected",
+            errors: [expect.stringContaining("num_employees_check")] },
+          { handle: "new", result: "created" },
+        ]);
+
+        const result = await db.query(
+              `SELECT handle FROM companies WHERE handle IN ('neg', 'new')`);
+        expect(result.rows).toEqual([{ handle: "new" }]);
+      });
+
+  test("dry run saves nothing", async function () {
+    const results = await Company.importMany(
+        [{ handle: "new", name: "New", description: "New" }],
+        { dryRun: true });
+    expect(results).toEqual([{ handle: "new", result: "created" }]);
+
+    const result = await db.query(
+          `SELECT handle FROM companies WHERE handle = 'new'`);
+    expect(result.rows.length).toEqual(0);
+  });
 });
 
 /************************************** findAll */
@@ -87,6 +211,63 @@ describe("findAll", function () {
   });
 });
 
+/************************************** findAll with paging */
+
+describe("findAll with paging", function () {
+  test("works: limit and offset", async function () {
+    let companies = await Company.findAll({}, { limit: 1, offset: 1 });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: sort and direction", async function () {
+    let companies = await Company.findAll(
+        {}, { sort: "numEmployees", direction: "desc" });
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("works: with filters", async function () {
+    let companies = await Company.findAll(
+        { minEmp: 2 }, { sort: "handle", direction: "desc", limit: 1 });
+    expect(companies.map(c => c.handle)).toEqual(["c3"]);
+  });
+
+  test("bad request for unknown sort", async function () {
+    try {
+      await Company.findAll({}, { sort: "description" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** streamAll */
+
+describe("streamAll", function () {
+  test("works: same companies as findAll", async function () {
+    const filters = { maxEmp: 2 };
+    const page = { sort: "numEmployees", direction: "desc" };
+    const companies = [];
+    for await (const company of Company.streamAll(filters, page)) {
+      companies.push(company);
+    }
+    expect(companies).toEqual(await Company.findAll(filters, page));
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c1"]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works: no filter", async function () {
+    expect(await Company.count()).toEqual(3);
+  });
+
+  test("works: with filter", async function () {
+    expect(await Company.count({ maxEmp: 2 })).toEqual(2);
+  });
+});
+
 /************************************** findAll with filters */
 
 describe("findAll with filters", function () {
@@ -150,6 +331,44 @@ describe("findAll with filters", function () {
   
 });
 
+/************************************** search */
+
+describe("search", function () {
+  test("works: matches name and description", async function () {
+    let companies = await Company.search("desc2");
+    expect(companies).toEqual([
+      {
+        handle: "c2",
+        name: "C2",
+        numEmployees: 2,
+        logoUrl: "http://c2.img",
+        rank: expect.any(Number),
+        snippet: "<mark>Desc2</mark>",
+      },
+    ]);
+  });
+
+  test("works: name matches rank first", async function () {
+    await db.query(`UPDATE companies SET description = 'Not C1' WHERE handle = 'c2'`);
+    let companies = await Company.search("c1");
+    expect(companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+  });
+
+  test("works: html in the description is escaped", async function () {
+    await db.query(`UPDATE companies
+                    SET description = '<img src=x onerror=alert(1)> tools'
+                    WHERE handle = 'c2'`);
+    let companies = await Company.search("tools");
+    expect(companies[0].snippet)
+        .toEqual("onerror=alert(1)&gt; <mark>tools</mark>");
+  });
+
+  test("works: no matches", async function () {
+    let companies = await Company.search("nope");
+    expect(companies).toEqual([]);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -161,9 +380,39 @@ describe("get", function () {
       description: "Desc1",
       numEmployees: 1,
       logoUrl: "http://c1.img",
+      jobs: [
+        { id: testJobs[0].id, title: "Job1", salary: 100, equity: "0.5" },
+        { id: testJobs[2].id, title: "Job3", salary: 200, equity: "0.01" },
+      ],
     });
   });
 
+  test("works: company w/o jobs", async function () {
+    let company = await Company.get("c3");
+    expect(company.jobs).toEqual([]);
+  });
+
+  test("works: leaves out jobs that aren't open", async function () {
+    await db.query(`UPDATE jobs SET status = 'filled' WHERE id = $1`,
+        [testJobs[0].id]);
+    let company = await Company.get("c1");
+    expect(company.jobs.map(j => j.id)).toEqual([testJobs[2].id]);
+  });
+
+  test("works: leaves out expired jobs", async function () {
+    await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day'
+                    WHERE id = $1`, [testJobs[0].id]);
+    let company = await Company.get("c1");
+    expect(company.jobs.map(j => j.id)).toEqual([testJobs[2].id]);
+  });
+
+  test("works: leaves out deleted jobs", async function () {
+    await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`,
+        [testJobs[0].id]);
+    let company = await Company.get("c1");
+    expect(company.jobs.map(j => j.id)).toEqual([testJobs[2].id]);
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.get("nope");
@@ -253,8 +502,86 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
+  test("works: soft-deletes company and its jobs", async function () {
+    await Company.remove("c1");
+    const res = await db.query(
+        "SELECT deleted_at FROM companies WHERE handle='c1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+
+    const jobsRes = await db.query(
+        "SELECT deleted_at FROM jobs WHERE company_handle='c1'");
+    expect(jobsRes.rows.every(j => j.deleted_at !== null)).toEqual(true);
+  });
+
+  test("works: hidden from findAll and count", async function () {
+    await Company.remove("c1");
+    const companies = await Company.findAll();
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+    expect(await Company.count()).toEqual(2);
+    expect(await Company.search("c1")).toEqual([]);
+  });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    try {
+      await Company.remove("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Company.remove("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works: brings back jobs deleted with it", async function () {
+    await db.query(
+        `UPDATE jobs SET deleted_at = '2020-01-01'
+         WHERE company_handle = 'c1' AND title = 'Job1'`);
+    await Company.remove("c1");
+
+    const company = await Company.restore("c1");
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+    });
+
+    const jobsRes = await db.query(
+        `SELECT title FROM jobs
+         WHERE company_handle = 'c1' AND deleted_at IS NULL
+         ORDER BY title`);
+    expect(jobsRes.rows.map(j => j.title)).toEqual(["Job3"]);
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await Company.restore("c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
   test("works", async function () {
     await Company.remove("c1");
+    await Company.purge("c1");
     const res = await db.query(
         "SELECT handle FROM companies WHERE handle='c1'");
     expect(res.rows.length).toEqual(0);
@@ -262,7 +589,86 @@ describe("remove", function () {
 
   test("not found if no such company", async function () {
     try {
-      await Company.remove("nope");
+      await Company.purge("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** members */
+
+describe("findMembers", function () {
+  test("works", async function () {
+    await Company.addMember("c1", "u2", "recruiter");
+    await Company.addMember("c1", "u1", "owner");
+    const members = await Company.findMembers("c1");
+    expect(members).toEqual([
+      { username: "u1", firstName: "U1F", lastName: "U1L", role: "owner" },
+      { username: "u2", firstName: "U2F", lastName: "U2L", role: "recruiter" },
+    ]);
+  });
+
+  test("works: no members", async function () {
+    expect(await Company.findMembers("c1")).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Company.findMembers("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+describe("addMember", function () {
+  test("works", async function () {
+    const member = await Company.addMember("c1", "u1", "owner");
+    expect(member).toEqual({ companyHandle: "c1", username: "u1", role: "owner" });
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Company.addMember("nope", "u1", "owner");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Company.addMember("c1", "nope", "owner");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request if already a member", async function () {
+    await Company.addMember("c1", "u1", "owner");
+    try {
+      await Company.addMember("c1", "u1", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+describe("removeMember", function () {
+  test("works", async function () {
+    await Company.addMember("c1", "u1", "owner");
+    await Company.removeMember("c1", "u1");
+    expect(await Company.findMembers("c1")).toEqual([]);
+  });
+
+  test("not found if not a member", async function () {
+    try {
+      await Company.removeMember("c1", "u1");
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
@@ -0,0 +1,89 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRandomToken, hashToken, claimToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+const { EMAIL_VERIFICATION_EXPIRES_HOURS } = require("../config");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * A verification token is mailed to the user's address and, used once
+ * before it expires, marks that address as verified. Each token is tied to
+ * the address it was sent to, so a token for an old address can't verify a
+ * new one.
+ */
+
+class EmailVerification {
+  /** Mail a verification token to the user's current email; returns
+   * undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async send(username) {
+    const userRes = await db.query(
+          `SELECT username, email
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const token = createRandomToken();
+
+    await db.query(
+          `INSERT INTO email_verification_tokens
+             (token_hash, username, email, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+        [hashToken(token), user.username, user.email,
+          EMAIL_VERIFICATION_EXPIRES_HOURS],
+    );
+
+    await sendMail({
+      to: user.email,
+      subject: "Verify your Jobly email address",
+      text: `Please confirm that ${user.email} belongs to ${user.username}.\n\n`
+          + `Your verification token is:\n\n  ${token}\n\n`
+          + `It works for the next ${EMAIL_VERIFICATION_EXPIRES_HOURS} hours.`,
+    });
+  }
+
+  /** Mark an email as verified using a token from send; returns
+   * { username, email }.
+   *
+   * Throws BadRequestError if the token is unknown, expired or used, or if
+   * the user's email has changed since it was sent.
+   **/
+
+  static async confirm(token) {
+    const claimed = await claimToken(
+        db, "email_verification_tokens", token, "username, email");
+
+    if (!claimed) {
+      throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    const result = await db.query(
+          `UPDATE users
+           SET email_verified = TRUE
+           WHERE username = $1 AND email = $2
+           RETURNING username, email`,
+        [claimed.username, claimed.email],
+    );
+
+    const verified = result.rows[0];
+
+    if (!verified) {
+      throw new BadRequestError("Email has changed since this token was sent");
+    }
+
+    return verified;
+  }
+}
+
+
+module.exports = EmailVerification;
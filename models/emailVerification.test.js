@@ -0,0 +1,107 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const { setMailTransport } = require("../helpers/mail");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+let sentMail;
+
+beforeAll(commonBeforeAll);
+beforeEach(async function () {
+  sentMail = [];
+  setMailTransport({ async send(message) { sentMail.push(message); } });
+  await commonBeforeEach();
+});
+afterEach(async function () {
+  setMailTransport();
+  await commonAfterEach();
+});
+afterAll(commonAfterAll);
+
+/** Pull the verification token out of the last mail sent. */
+function lastToken() {
+  return sentMail[sentMail.length - 1].text.match(/^  (\w+)$/m)[1];
+}
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    expect(sentMail.length).toEqual(1);
+    expect(sentMail[0].to).toEqual("u1@email.com");
+
+    const res = await db.query(
+        "SELECT * FROM email_verification_tokens WHERE username = 'u1'");
+    expect(res.rows.length).toEqual(1);
+    expect(res.rows[0].email).toEqual("u1@email.com");
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.send("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    const result = await EmailVerification.confirm(lastToken());
+    expect(result).toEqual({ username: "u1", email: "u1@email.com" });
+
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(true);
+  });
+
+  test("bad request if used twice", async function () {
+    await EmailVerification.send("u1");
+    const token = lastToken();
+    await EmailVerification.confirm(token);
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if email changed since sent", async function () {
+    await EmailVerification.send("u1");
+    const oldToken = sentMail[0].text.match(/^  (\w+)$/m)[1];
+    await User.update("u1", { email: "new@email.com" });
+    try {
+      await EmailVerification.confirm(oldToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(false);
+  });
+
+  test("bad request if expired", async function () {
+    await EmailVerification.send("u1");
+    await db.query(
+        "UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await EmailVerification.confirm(lastToken());
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,120 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for users' favorite jobs.
+ *
+ * Favorites are a shortlist of jobs a user is keeping an eye on, separate
+ * from applications: favoriting a job doesn't apply to it, and applying
+ * doesn't favorite it.
+ */
+
+class Favorite {
+  /** Favorite a job for a user; returns undefined.
+   *
+   * Favoriting a job that's already a favorite does nothing.
+   *
+   * Throws NotFoundError if the user or job is not found; drafts aren't
+   * public, so they count as not found.
+   **/
+
+  static async add(username, jobId) {
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const jobCheck = await db.query(
+          `SELECT id
+           FROM jobs
+           WHERE id = $1 AND deleted_at IS NULL AND status <> 'draft'`,
+        [jobId],
+    );
+
+    if (!jobCheck.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+    await db.query(
+          `INSERT INTO favorites (username, job_id)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING`,
+        [username, jobId],
+    );
+  }
+
+  /** Unfavorite a job for a user; returns undefined.
+   *
+   * Throws NotFoundError if the job isn't one of the user's favorites.
+   **/
+
+  static async remove(username, jobId) {
+    const result = await db.query(
+          `DELETE FROM favorites
+           WHERE username = $1 AND job_id = $2
+           RETURNING job_id`,
+        [username, jobId],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No favorite: ${jobId}`);
+  }
+
+  /** Find a user's favorite jobs, most recently favorited first.
+   *
+   * Returns [{ id, title, salary, equity, status, expiresAt, favoritedAt,
+   *            company: { handle, name, description, numEmployees,
+   *                       logoUrl } }, ...]
+   *
+   * Favorites stay when their job closes, is filled or expires, so status
+   * (open, closed or filled; expired jobs show as closed) says which are
+   * still open. Deleted jobs are left out (and come back if they're
+   * restored), as are drafts.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findAll(username) {
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `SELECT j.id,
+                  j.title,
+                  j.salary_min AS salary,
+                  j.equity,
+                  CASE WHEN j.status = 'open' AND j.expires_at <= NOW()
+                       THEN 'closed'
+                       ELSE j.status END AS status,
+                  j.expires_at AS "expiresAt",
+                  f.created_at AS "favoritedAt",
+                  json_build_object(
+                    'handle', c.handle,
+                    'name', c.name,
+                    'description', c.description,
+                    'numEmployees', c.num_employees,
+                    'logoUrl', c.logo_url) AS company
+           FROM favorites AS f
+                JOIN jobs AS j ON j.id = f.job_id
+                JOIN companies AS c ON c.handle = j.company_handle
+           WHERE f.username = $1
+             AND j.deleted_at IS NULL
+             AND j.status <> 'draft'
+           ORDER BY f.created_at DESC, j.id`,
+        [username],
+    );
+
+    return result.rows;
+  }
+}
+
+
+module.exports = Favorite;
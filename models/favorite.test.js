@@ -0,0 +1,153 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const Favorite = require("./favorite.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobs,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    await Favorite.add("u1", testJobs[1].id);
+    const favorites = await Favorite.findAll("u1");
+    expect(favorites.map(f => f.id)).toEqual([testJobs[1].id]);
+  });
+
+  test("works: adding twice does nothing", async function () {
+    await Favorite.add("u1", testJobs[1].id);
+    await Favorite.add("u1", testJobs[1].id);
+    expect(await Favorite.findAll("u1")).toHaveLength(1);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Favorite.add("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if job is a draft", async function () {
+    const draft = await Job.create(
+        { title: "Draft", salary: 10, equity: "0", companyHandle: "c1" });
+    try {
+      await Favorite.add("u1", draft.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Favorite.add("nope", testJobs[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await Favorite.add("u1", testJobs[1].id);
+    await Favorite.remove("u1", testJobs[1].id);
+    expect(await Favorite.findAll("u1")).toEqual([]);
+  });
+
+  test("not found if not a favorite", async function () {
+    try {
+      await Favorite.remove("u1", testJobs[1].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: with company data", async function () {
+    await Favorite.add("u1", testJobs[0].id);
+    expect(await Favorite.findAll("u1")).toEqual([
+      {
+        id: testJobs[0].id,
+        title: "Job1",
+        salary: 100,
+        equity: "0.5",
+        status: "open",
+        expiresAt: null,
+        favoritedAt: expect.any(Date),
+        company: {
+          handle: "c1",
+          name: "C1",
+          description: "Desc1",
+          numEmployees: 1,
+          logoUrl: "http://c1.img",
+        },
+      },
+    ]);
+  });
+
+  test("works: expired jobs show as closed", async function () {
+    await Favorite.add("u1", testJobs[0].id);
+    await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day'
+                    WHERE id = $1`, [testJobs[0].id]);
+    const favorites = await Favorite.findAll("u1");
+    expect(favorites[0].status).toEqual("closed");
+    expect(favorites[0].expiresAt).toEqual(expect.any(Date));
+  });
+
+  test("works: filled jobs show as filled", async function () {
+    await Favorite.add("u1", testJobs[0].id);
+    await db.query(`UPDATE jobs SET status = 'filled' WHERE id = $1`,
+        [testJobs[0].id]);
+    const favorites = await Favorite.findAll("u1");
+    expect(favorites[0].status).toEqual("filled");
+  });
+
+  test("works: leaves out deleted jobs", async function () {
+    await Favorite.add("u1", testJobs[0].id);
+    await Job.remove(testJobs[0].id);
+    expect(await Favorite.findAll("u1")).toEqual([]);
+  });
+
+  test("works: leaves out drafts", async function () {
+    const draft = await Job.create(
+        { title: "Draft", salary: 10, equity: "0", companyHandle: "c1" });
+    await db.query(`INSERT INTO favorites (username, job_id) VALUES ('u1', $1)`,
+        [draft.id]);
+    expect(await Favorite.findAll("u1")).toEqual([]);
+  });
+
+  test("works: separate from applications", async function () {
+    // u1 has applied to testJobs[0] but not favorited it
+    expect(await Favorite.findAll("u1")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Favorite.findAll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -1,8 +1,14 @@
 "use strict";
 
+const { DatabaseError } = require("pg");
 const db = require("../db");
-const { NotFoundError} = require("../expressError");
+const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPagination } = require("../helpers/pagination");
+const { streamRows } = require("../helpers/cursor");
+const { sqlForSnippet } = require("../helpers/snippet");
+const Audit = require("./audit");
+const { EXCHANGE_RATES } = require("../config");
 
 /* Our database uses the NUMERIC field type. Do some research on why we chose this, rather than a FLOAT type. Discover what the pg library returns when that field type is queried, and form a theory on why. Be prepared to discuss this during code reviews. 
 
@@ -12,6 +18,28 @@ const { sqlForPartialUpdate } = require("../helpers/sql");
 Numeric is used for things that require precision, and equity of a company can be subdivided a lot(e.g. millions of shares between people). There is no data type equivalent in vanilla javascript that can give the precision that SQL's numeric type gives so it is represented by a string instead.
 */
 
+/** Salary columns of a job. salary is the bottom of the range, for clients
+ * from before jobs had salary ranges. */
+const SALARY_COLUMNS = `salary_min AS "salary",
+                        salary_min AS "salaryMin",
+                        salary_max AS "salaryMax",
+                        salary_currency AS "salaryCurrency",
+                        salary_period AS "salaryPeriod"`;
+
+/** Condition for a job being open: published, not closed or filled, and
+ * not past its expiry. */
+const OPEN_SQL = `(status = 'open' AND (expires_at IS NULL OR expires_at > NOW()))`;
+
+/** Status columns of a job. Open jobs past their expiry show as closed. */
+const STATUS_COLUMNS = `CASE WHEN status = 'open' AND NOT ${OPEN_SQL}
+                             THEN 'closed'
+                             ELSE status END AS status,
+                        posted_at AS "postedAt",
+                        expires_at AS "expiresAt"`;
+
+/** Working hours in a year, for comparing hourly pay with annual salaries. */
+const HOURS_PER_YEAR = 2080;
+
 /** 
   Functions for Jobs, 
   jobs table related many to one to companies table. 
@@ -26,26 +54,74 @@ class Job {
   
   
   input data shape:
-  { title, salary, equity, companyHandle }
+  { title, salaryMin, salaryMax, salaryCurrency, salaryPeriod, equity,
+    companyHandle, location, remotePolicy, employmentType, seniority,
+    status, expiresAt }
+  
+  salaryCurrency defaults to USD and salaryPeriod (hourly or annual) to
+  annual. salary can be given instead of salaryMin and salaryMax for a
+  single-figure salary.
+  
+  status is draft (the default; see Job.publish) or open, to post the job
+  straight away.
   
   Returns:
-  { id, title, salary, equity, companyHandle }
+  { id, title, salary, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+    equity, companyHandle, location, remotePolicy, employmentType,
+    seniority, status, postedAt, expiresAt }
+  
+  Throws BadRequestError if salaryMin is greater than salaryMax.
    **/
-  static async create({ title, salary, equity, companyHandle }) {
+  static async create(data) {
+    const {
+      title,
+      salaryMin,
+      salaryMax,
+      salaryCurrency = "USD",
+      salaryPeriod = "annual",
+      equity,
+      companyHandle,
+      location,
+      remotePolicy,
+      employmentType,
+      seniority,
+      status = "draft",
+      expiresAt,
+    } = Job._salaryRange(data);
+
+    Job._checkSalaryRange(salaryMin, salaryMax);
     
     const result = await db.query(
-          `INSERT INTO jobs (title, salary, equity, company_handle)
-           VALUES ($1, $2, $3, $4)
+          `INSERT INTO jobs (title, salary_min, salary_max, salary_currency,
+                             salary_period, equity, company_handle, location,
+                             remote_policy, employment_type, seniority,
+                             status, posted_at, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                   CASE WHEN $12 = 'open' THEN NOW() END, $13)
            RETURNING id,
               title,
-              salary,
+              ${SALARY_COLUMNS},
               equity,
-              company_handle AS "companyHandle"`,
+              company_handle AS "companyHandle",
+              location,
+              remote_policy AS "remotePolicy",
+              employment_type AS "employmentType",
+              seniority,
+              ${STATUS_COLUMNS}`,
         [
           title,
-          salary,
+          salaryMin,
+          salaryMax,
+          salaryCurrency,
+          salaryPeriod,
           equity,
           companyHandle,
+          location,
+          remotePolicy,
+          employmentType,
+          seniority,
+          status,
+          expiresAt,
         ]);
         
     let job = result.rows[0];
@@ -53,66 +129,240 @@ class Job {
     return job;
   }
 
+  /**
+  makes many jobs at once, taking in an array of job data shaped as for
+  Job.create.
+
+  Unlike Job.create, status defaults to open, so imported jobs are posted
+  straight away.
+
+  Jobs whose company doesn't exist (or is deleted) or whose salary range is
+  upside down are rejected, and the rest made in one transaction. Each is
+  made in its own savepoint, so one the database refuses (say, with equity
+  over 1) is rejected with the database's error and the others are still
+  made. Each is recorded in the audit log as made by actor (see
+  Audit.track). With dryRun, nothing is made.
+
+  Returns [{ id, result, errors }, ...] in the order given, where result is
+  "created" (id is null on a dry run) or "rejected" (with errors).
+   **/
+  static async importMany(jobs, { dryRun = false, actor } = {}) {
+    const companiesRes = await db.query(
+          `SELECT handle
+           FROM companies
+           WHERE handle = ANY($1) AND deleted_at IS NULL`,
+        [jobs.map(j => j.companyHandle)]);
+    const companies = new Set(companiesRes.rows.map(c => c.handle));
+
+    const results = jobs.map(data => {
+      const job = Job._salaryRange(data);
+      const errors = [];
+      if (!companies.has(job.companyHandle)) {
+        errors.push(`No company: ${job.companyHandle}`);
+      }
+      try {
+        Job._checkSalaryRange(job.salaryMin, job.salaryMax);
+      } catch (err) {
+        errors.push(err.message);
+      }
+
+      if (errors.length) return { id: null, result: "rejected", errors };
+      return { id: null, result: "created" };
+    });
+
+    if (!dryRun) {
+      await db.withTransaction(async () => {
+        for (const [i, data] of jobs.entries()) {
+          if (results[i].result !== "created") continue;
+          // Audit.track's transaction nests in this one as a savepoint
+          try {
+            const job = await Audit.track(
+                { actor, action: "create", entityType: "job" },
+                () => Job.create({ status: "open", ...data }));
+            results[i].id = job.id;
+          } catch (err) {
+            if (!(err instanceof DatabaseError
+                  || err instanceof BadRequestError)) throw err;
+            results[i] = { id: null, result: "rejected", errors: [err.message] };
+          }
+        }
+      });
+    }
+
+    return results;
+  }
+
   /** 
   Finds all jobs or all jobs that fit a search filter,
   searchFilter is an object(filterBy) that filters for
-  - minSalary
-  - hasEquity (boolean; true for jobs with equity > 0)
+  - minSalary, maxSalary (annual US dollars; jobs whose salary range
+    reaches into [minSalary, maxSalary], after converting hourly pay and
+    other currencies using EXCHANGE_RATES)
+  - hasEquity (boolean; true for jobs with equity > 0, false is no filter)
   - title (string; case-insensitive, partial matches)
-  - company (string; case-insensitive, partial matches)
+  - companyHandle (handle or array of handles; exact matches)
+  - companyName (string; case-insensitive, partial matches)
+  - location (string; case-insensitive, partial matches)
+  - remotePolicy, employmentType, seniority (value or array of values;
+    exact matches)
+  - postedAfter (timestamp; jobs posted after it)
+  - postedBefore (timestamp; jobs posted at or before it)
+  - includeClosed (boolean; also drafts and closed, filled or expired jobs,
+    which are otherwise left out)
+  
+  page is optional { limit, offset, sort, direction }, where sort is one
+  of Job.sortableColumns (default title); see sqlForPagination.
   
   Returns an array of jobs:
-  [{ id, title, salary, equity, companyHandle }, ...]
+  [{ id, title, salary, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+     equity, companyHandle, location, remotePolicy, employmentType,
+     seniority }, ...]
+  
+  If username is given, each job also has isFavorite, whether that user
+  has favorited it.
    * */
-  static async findAll(filterBy) {
+  static async findAll(filterBy, page, username) {
+    const { text, values } = Job._findAllQuery(filterBy, page, username);
+    const jobsResults = await db.query(text, values);
+    return jobsResults.rows;
+  }
+
+  /** Same as findAll, but returns an async iterator over the jobs, read
+   * from the database a batch at a time; see streamRows.
+   * */
+  static streamAll(filterBy, page, username) {
+    const { text, values } = Job._findAllQuery(filterBy, page, username);
+    return streamRows(db, text, values);
+  }
+
+  /* helper function that builds the query for findAll and streamAll */
+  static _findAllQuery(filterBy, page, username) {
+    const { whereClause, whereValues } = Job._whereFromFilters(filterBy);
+    const { orderBy, limit, offset } = sqlForPagination(
+        page, Job.sortableColumns, "title");
     
-    let whereClause = "";
-    let whereValues = [];
-    if(filterBy instanceof Object && Object.keys(filterBy).length > 0){
-      let { minSalary, hasEquity, title, companyHandle } = filterBy;
-      let whereStatement = Job._sqlWhereBuilder(
-          minSalary,
-          hasEquity,
-          title,
-          companyHandle);
-      
-      whereClause = whereStatement.whereClause;
-      whereValues = whereStatement.whereValues;
+    const values = [...whereValues, limit, offset];
+    let isFavorite = "";
+    if (username !== undefined) {
+      values.push(username);
+      isFavorite = `, ${Job._isFavoriteSql(values.length)}`;
     }
     
-    
-    let query = `SELECT id,
+    let text = `SELECT id,
                         title,
-                        salary,
+                        ${SALARY_COLUMNS},
                         equity,
-                        company_handle AS "companyHandle"
+                        company_handle AS "companyHandle",
+                        location,
+                        remote_policy AS "remotePolicy",
+                        employment_type AS "employmentType",
+                        seniority,
+                        ${STATUS_COLUMNS}${isFavorite}
                 FROM jobs
                 ${whereClause}
-                ORDER BY title`;
+                ORDER BY ${orderBy}, id
+                LIMIT $${whereValues.length + 1}
+                OFFSET $${whereValues.length + 2}`;
     
-    const jobsResults = await db.query(query, whereValues);
-    return jobsResults.rows;
+    return { text, values };
+  }
+
+  /** Count the jobs that fit a search filter (same filters as findAll),
+   * if no filter counts all jobs.
+   *
+   * Returns a number
+   * */
+  static async count(filterBy) {
+    const { whereClause, whereValues } = Job._whereFromFilters(filterBy);
+
+    const countResults = await db.query(
+          `SELECT COUNT(*) AS "total"
+           FROM jobs
+           ${whereClause}`,
+        whereValues);
+
+    return Number(countResults.rows[0].total);
+  }
+
+  /** Count the jobs that fit each of several search filters (same filters
+   * as findAll), in one query.
+   *
+   * Returns [number, ...], in the order of filterBys
+   * */
+  static async countEach(filterBys) {
+    if (filterBys.length === 0) return [];
+
+    const whereValues = [];
+    const counts = filterBys.map((filterBy, i) => {
+      const { whereClause } = Job._whereFromFilters(filterBy, whereValues);
+      return `COUNT(*) FILTER (${whereClause}) AS "${i}"`;
+    });
+
+    const countResults = await db.query(
+          `SELECT ${counts.join(", ")}
+           FROM jobs`,
+        whereValues);
+
+    return filterBys.map((filterBy, i) => Number(countResults.rows[0][i]));
+  }
+
+  /* 
+    helper function that builds the where clause for findAll and count
+    from filterBy, which may be missing. See _sqlWhereBuilder for
+    whereValues.
+  */
+  static _whereFromFilters(filterBy, whereValues) {
+    if (!(filterBy instanceof Object)) filterBy = {};
+
+    return Job._sqlWhereBuilder(filterBy, whereValues);
   }
   
   /* 
     helper function for searching for jobs that builds a where clause
-    based on what to filter by.
+    based on what to filter by. Its values are added to whereValues, if
+    given, so several where clauses can share one query's parameters.
   */
-  static _sqlWhereBuilder(minSalary, hasEquity, title, companyHandle){
+  static _sqlWhereBuilder({
+    minSalary,
+    maxSalary,
+    hasEquity,
+    title,
+    companyHandle,
+    companyName,
+    location,
+    remotePolicy,
+    employmentType,
+    seniority,
+    postedAfter,
+    postedBefore,
+    includeClosed = false,
+  }, whereValues = []){
     // For each possible search term, add to whereClause and
     // whereValues so we can generate the right SQL
     
-    let whereClause = [];
-    let whereValues = [];
+    // soft-deleted jobs never match
+    let whereClause = ["deleted_at IS NULL"];
+
+    if (includeClosed !== true) {
+      whereClause.push(OPEN_SQL);
+    }
 
     // console.log(minSalary, hasEquity, title, companyHandle);
     
     if (minSalary !== undefined) {
+      const top = Job._annualUsdSql(
+          "COALESCE(salary_max, salary_min)", whereValues);
       whereValues.push(minSalary);
-      whereClause.push(`salary >= $${whereValues.length}`);
+      whereClause.push(`${top} >= $${whereValues.length}`);
+    }
+
+    if (maxSalary !== undefined) {
+      const bottom = Job._annualUsdSql("salary_min", whereValues);
+      whereValues.push(maxSalary);
+      whereClause.push(`${bottom} <= $${whereValues.length}`);
     }
 
-    if (hasEquity === "true") {
+    if (hasEquity === true) {
       whereClause.push(`equity > 0`);
     }
 
@@ -121,13 +371,52 @@ class Job {
       whereClause.push(`title ILIKE $${whereValues.length}`);
     }
     
-    //not asked for, but I want this for the "Show Jobs for a Company" part
     if (companyHandle !== undefined) {
-      whereValues.push(`%${companyHandle}%`);
-      whereClause.push(`company_handle ILIKE $${whereValues.length}`);
+      whereValues.push([].concat(companyHandle));
+      whereClause.push(`company_handle = ANY($${whereValues.length})`);
+    }
+
+    if (companyName !== undefined) {
+      whereValues.push(`%${companyName}%`);
+      whereClause.push(`company_handle IN (SELECT handle
+                                           FROM companies
+                                           WHERE name ILIKE $${whereValues.length})`);
+    }
+
+    if (location !== undefined) {
+      whereValues.push(`%${location}%`);
+      whereClause.push(`location ILIKE $${whereValues.length}`);
+    }
+
+    if (remotePolicy !== undefined) {
+      whereValues.push([].concat(remotePolicy));
+      whereClause.push(`remote_policy = ANY($${whereValues.length})`);
+    }
+
+    if (employmentType !== undefined) {
+      whereValues.push([].concat(employmentType));
+      whereClause.push(`employment_type = ANY($${whereValues.length})`);
+    }
+
+    if (seniority !== undefined) {
+      whereValues.push([].concat(seniority));
+      whereClause.push(`seniority = ANY($${whereValues.length})`);
+    }
+
+    // used by saved searches to find jobs new since they were last checked
+    if (postedAfter !== undefined) {
+      whereValues.push(postedAfter);
+      whereClause.push(`posted_at > $${whereValues.length}`);
+    }
+
+    if (postedBefore !== undefined) {
+      whereValues.push(postedBefore);
+      whereClause.push(`posted_at <= $${whereValues.length}`);
     }
     
-    whereClause = "WHERE "+ whereClause.join(" AND ");
+    whereClause = whereClause.length > 0
+        ? "WHERE " + whereClause.join(" AND ")
+        : "";
     
     return {
         whereClause,
@@ -136,29 +425,141 @@ class Job {
     
   }
 
+  /* helper function for a salary column converted to annual US dollars;
+     adds the exchange rates to whereValues the first time it's used. */
+  static _annualUsdSql(column, whereValues) {
+    let ratesIdx = whereValues.indexOf(EXCHANGE_RATES) + 1;
+    if (!ratesIdx) ratesIdx = whereValues.push(EXCHANGE_RATES);
+
+    return `(${column}
+             * ($${ratesIdx}::JSONB ->> salary_currency::TEXT)::NUMERIC
+             * CASE salary_period WHEN 'hourly' THEN ${HOURS_PER_YEAR}
+                                  ELSE 1 END)`;
+  }
+
+  /* helper function that turns a single-figure salary in job data into a
+     salaryMin and salaryMax range (unless those are given too). */
+  static _salaryRange(data) {
+    const { salary, ...rest } = data;
+    if (salary !== undefined) {
+      if (rest.salaryMin === undefined) rest.salaryMin = salary;
+      if (rest.salaryMax === undefined) rest.salaryMax = salary;
+    }
+    return rest;
+  }
+
+  /* helper function to throw BadRequestError if a salary range is upside
+     down. */
+  static _checkSalaryRange(salaryMin, salaryMax) {
+    if (salaryMin !== undefined && salaryMin !== null
+        && salaryMax !== undefined && salaryMax !== null
+        && salaryMin > salaryMax) {
+      throw new BadRequestError(
+          "Minimum salary cannot be greater than maximum.");
+    }
+  }
+
+  /* helper function for the isFavorite column of a jobs query, with the
+     username in parameter $idx. */
+  static _isFavoriteSql(idx) {
+    return `EXISTS (SELECT 1
+                    FROM favorites AS f
+                    WHERE f.job_id = jobs.id AND f.username = $${idx})
+              AS "isFavorite"`;
+  }
+
+  /** Full-text search of jobs by title and company name.
+   *
+   * q is free text as a user would type it ("remote python", "-intern");
+   * title matches rank above company name matches. Only open jobs match.
+   *
+   * Returns [{ id, title, salary, salaryMin, salaryMax, salaryCurrency,
+   *            salaryPeriod, equity, companyHandle, location,
+   *            remotePolicy, employmentType, seniority, status, postedAt,
+   *            expiresAt, companyName, rank, snippet }, ...]
+   *   best match first, where snippet is the title and company name with
+   *   the matched words wrapped in <mark></mark>
+   * */
+  static async search(q, limit = 10) {
+    const searchResults = await db.query(
+          `SELECT j.id,
+                  j.title,
+                  ${SALARY_COLUMNS},
+                  j.equity,
+                  j.company_handle AS "companyHandle",
+                  j.location,
+                  j.remote_policy AS "remotePolicy",
+                  j.employment_type AS "employmentType",
+                  j.seniority,
+                  ${STATUS_COLUMNS},
+                  c.name AS "companyName",
+                  ts_rank(d.document, query) AS rank,
+                  ${sqlForSnippet("j.title || ' at ' || c.name", "query")}
+                    AS snippet
+           FROM jobs AS j
+                JOIN companies AS c ON c.handle = j.company_handle,
+                websearch_to_tsquery('english', $1) AS query,
+                LATERAL (
+                  SELECT setweight(to_tsvector('english', j.title), 'A')
+                         || setweight(to_tsvector('english', c.name), 'B')
+                           AS document
+                ) AS d
+           WHERE d.document @@ query
+             AND j.deleted_at IS NULL
+             AND ${OPEN_SQL}
+           ORDER BY rank DESC, j.title
+           LIMIT $2`,
+        [q, limit]);
+
+    return searchResults.rows;
+  }
+
   /** Given a job id, return data about job.
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * Returns { id, title, salary, salaryMin, salaryMax, salaryCurrency,
+   *           salaryPeriod, equity, companyHandle, location,
+   *           remotePolicy, employmentType, seniority, status, postedAt,
+   *           expiresAt, company }
+   *   where company is { handle, name, description, numEmployees, logoUrl }
+   *
+   * If username is given, the job also has isFavorite, whether that user
+   * has favorited it.
    *
    * Throws NotFoundError if not found.
    **/
-  static async get(id) {
+  static async get(id, username) {
+    const values = [id];
+    let isFavorite = "";
+    if (username !== undefined) {
+      values.push(username);
+      isFavorite = `, ${Job._isFavoriteSql(values.length)}`;
+    }
+
     const jobRes = await db.query(
-          `SELECT id,
-                  title,
-                  salary,
-                  equity,
-                  company_handle AS "companyHandle"
+          `SELECT jobs.id,
+                  jobs.title,
+                  ${SALARY_COLUMNS},
+                  jobs.equity,
+                  jobs.company_handle AS "companyHandle",
+                  jobs.location,
+                  jobs.remote_policy AS "remotePolicy",
+                  jobs.employment_type AS "employmentType",
+                  jobs.seniority,
+                  ${STATUS_COLUMNS},
+                  json_build_object(
+                    'handle', c.handle,
+                    'name', c.name,
+                    'description', c.description,
+                    'numEmployees', c.num_employees,
+                    'logoUrl', c.logo_url) AS company${isFavorite}
            FROM jobs
-           WHERE id = $1`, [id]);
+                JOIN companies AS c ON c.handle = jobs.company_handle
+           WHERE jobs.id = $1 AND jobs.deleted_at IS NULL`, values);
 
     const job = jobRes.rows[0];
 
     if (!job) throw new NotFoundError(`There is no job with id: ${id}`);
 
-    // const companiesResults = Company.get(job.companyHandle);
-    // job.company = companiesResults.rows[0];
-
     return job;
   }
 
@@ -167,29 +568,66 @@ class Job {
    * This is a "partial update" --- it's fine if data doesn't contain
    * all the fields; this only changes provided ones.
    *
-   * Data can include: { title, salary, equity }
+   * Data can include: { title, salaryMin, salaryMax, salaryCurrency,
+   *                     salaryPeriod, equity, location, remotePolicy,
+   *                     employmentType, seniority, expiresAt }
+   * or salary in place of salaryMin and salaryMax, setting both. The status
+   * changes through publish and close instead.
    *
-   * Returns { id, title, salary, equity, companyHandle }
+   * Returns { id, title, salary, salaryMin, salaryMax, salaryCurrency,
+   *           salaryPeriod, equity, companyHandle, location, remotePolicy,
+   *           employmentType, seniority, status, postedAt, expiresAt }
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found, and BadRequestError if the update
+   * would leave salaryMin greater than salaryMax.
    */
 
   static async update(id, data) {
-    //title, salary, and equity already same name as SQL column
+    data = Job._salaryRange(data);
+
+    if (data.salaryMin !== undefined || data.salaryMax !== undefined) {
+      const currentRes = await db.query(
+            `SELECT salary_min AS "salaryMin",
+                    salary_max AS "salaryMax"
+             FROM jobs
+             WHERE id = $1 AND deleted_at IS NULL`, [id]);
+      const current = currentRes.rows[0];
+
+      if (current) {
+        Job._checkSalaryRange(
+            data.salaryMin !== undefined ? data.salaryMin : current.salaryMin,
+            data.salaryMax !== undefined ? data.salaryMax : current.salaryMax);
+      }
+    }
+
+    //title, equity and location already same name as SQL column
     const { setCols, values } = sqlForPartialUpdate(
         data,
-        {});
+        {
+          salaryMin: "salary_min",
+          salaryMax: "salary_max",
+          salaryCurrency: "salary_currency",
+          salaryPeriod: "salary_period",
+          remotePolicy: "remote_policy",
+          employmentType: "employment_type",
+          expiresAt: "expires_at",
+        });
     const idVarIdx = "$" + (values.length + 1);
 
     const querySql = `
       UPDATE jobs 
       SET ${setCols} 
-      WHERE id = ${idVarIdx} 
+      WHERE id = ${idVarIdx} AND deleted_at IS NULL
       RETURNING id, 
                 title, 
-                salary, 
+                ${SALARY_COLUMNS},
                 equity,
-                company_handle AS "companyHandle"`;
+                company_handle AS "companyHandle",
+                location,
+                remote_policy AS "remotePolicy",
+                employment_type AS "employmentType",
+                seniority,
+                ${STATUS_COLUMNS}`;
     const result = await db.query(querySql, [...values, id]);
     const job = result.rows[0];
     // console.log(job)
@@ -198,12 +636,134 @@ class Job {
     return job;
   }
 
-  /** Delete given job from database; returns undefined.
+  /** Publish a draft job, or reopen a closed one.
+   *
+   * expiresAt is optional; without it, the job keeps the expiry it had (if
+   * any). postedAt becomes now.
+   *
+   * Returns the job, as from get.
+   *
+   * Throws NotFoundError if not found, and BadRequestError if the job is
+   * already open or filled, or would be expired as soon as it's published.
+   **/
+
+  static async publish(id, expiresAt) {
+    const job = await Job.get(id);
+
+    if (job.status === "open" || job.status === "filled") {
+      throw new BadRequestError(`Job ${id} is already ${job.status}`);
+    }
+
+    const newExpiresAt = expiresAt ? new Date(expiresAt) : job.expiresAt;
+    if (newExpiresAt && newExpiresAt <= new Date()) {
+      throw new BadRequestError(`Job ${id} would expire as soon as published`);
+    }
+
+    await db.query(
+          `UPDATE jobs
+           SET status = 'open',
+               posted_at = NOW(),
+               expires_at = $2
+           WHERE id = $1`,
+        [id, newExpiresAt]);
+
+    return await Job.get(id);
+  }
+
+  /** Take an open job down, as closed (the default) or filled. A closed
+   * job (including one that expired) can also be marked filled.
    *
-   * Throws NotFoundError if company not found.
+   * Returns the job, as from get.
+   *
+   * Throws NotFoundError if not found, and BadRequestError if the job isn't
+   * open (or closed, when marking it filled).
+   **/
+
+  static async close(id, status = "closed") {
+    const job = await Job.get(id);
+
+    const closable = job.status === "open"
+        || (status === "filled" && job.status === "closed");
+    if (!closable) {
+      throw new BadRequestError(`Job ${id} is ${job.status}, not open`);
+    }
+
+    await db.query(
+          `UPDATE jobs
+           SET status = $2
+           WHERE id = $1`,
+        [id, status]);
+
+    return await Job.get(id);
+  }
+
+  /** Soft-delete given job; returns undefined.
+   *
+   * The job stays in the database, hidden, until restored or purged.
+   *
+   * Throws NotFoundError if job not found.
    **/
 
   static async remove(id) {
+    const result = await db.query(
+          `UPDATE jobs
+           SET deleted_at = NOW()
+           WHERE id = $1 AND deleted_at IS NULL
+           RETURNING id`, [id]);
+    const job = result.rows[0];
+
+    if (!job) throw new NotFoundError(`No job: ${id}`);
+  }
+
+  /** Restore a soft-deleted job.
+   *
+   * Returns { id, title, salary, salaryMin, salaryMax, salaryCurrency,
+   *           salaryPeriod, equity, companyHandle, location, remotePolicy,
+   *           employmentType, seniority }
+   *
+   * Throws NotFoundError if there is no soft-deleted job with id, and
+   * BadRequestError if its company is deleted (restore that instead).
+   **/
+
+  static async restore(id) {
+    const jobRes = await db.query(
+          `SELECT c.deleted_at AS "companyDeletedAt"
+           FROM jobs AS j
+                JOIN companies AS c ON c.handle = j.company_handle
+           WHERE j.id = $1 AND j.deleted_at IS NOT NULL`, [id]);
+    const deleted = jobRes.rows[0];
+
+    if (!deleted) throw new NotFoundError(`No deleted job: ${id}`);
+
+    if (deleted.companyDeletedAt) {
+      throw new BadRequestError(`Company of job ${id} is deleted`);
+    }
+
+    const result = await db.query(
+          `UPDATE jobs
+           SET deleted_at = NULL
+           WHERE id = $1
+           RETURNING id,
+                     title,
+                     ${SALARY_COLUMNS},
+                     equity,
+                     company_handle AS "companyHandle",
+                     location,
+                     remote_policy AS "remotePolicy",
+                     employment_type AS "employmentType",
+                     seniority,
+                     ${STATUS_COLUMNS}`, [id]);
+
+    return result.rows[0];
+  }
+
+  /** Permanently delete given job, whether or not soft-deleted, along with
+   * its applications; returns undefined.
+   *
+   * Throws NotFoundError if job not found.
+   **/
+
+  static async purge(id) {
     const result = await db.query(
           `DELETE
            FROM jobs
@@ -215,4 +775,13 @@ class Job {
   }
 }
 
+/** Keys GET /jobs can sort by, mapped to their database columns. */
+Job.sortableColumns = {
+  id: "id",
+  title: "title",
+  salary: "salary_min",
+  equity: "equity",
+  companyHandle: "company_handle",
+};
+
 module.exports = Job;
\ No newline at end of file
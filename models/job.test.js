@@ -4,6 +4,7 @@ const db = require("../db.js");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { DatabaseError } = require("pg-protocol")
 const Job = require("./job.js");
+const Company = require("./company.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -27,19 +28,179 @@ describe("create", function () {
     equity: "0.5",
     salary: 50,
     companyHandle: "c1",
+    location: "Remote, US",
+    remotePolicy: "remote",
+    employmentType: "part-time",
+    seniority: "lead",
   };
 
   test("works", async function () {
     let job = await Job.create(newJob);
     expect(job).toEqual({
-      title: newJob.title,
-      equity: newJob.equity,
-      salary: newJob.salary,
-      companyHandle: newJob.companyHandle,
+      ...newJob,
+      salaryMin: 50,
+      salaryMax: 50,
+      salaryCurrency: "USD",
+      salaryPeriod: "annual",
+      status: "draft",
+      postedAt: null,
+      expiresAt: null,
       id: expect.any(Number),
     });
   });
 
+  test("works: open straight away", async function () {
+    let job = await Job.create({ ...newJob, status: "open" });
+    expect(job.status).toEqual("open");
+    expect(job.postedAt).toEqual(expect.any(Date));
+  });
+
+  test("works: expiresAt keeps its offset", async function () {
+    const expiresAt = "2030-01-01T00:00:00+05:00";
+    let job = await Job.create({ ...newJob, expiresAt });
+    expect(job.expiresAt).toEqual(new Date(expiresAt));
+
+    job = await Job.update(job.id, { expiresAt: "2030-06-01T00:00:00-08:00" });
+    expect(job.expiresAt).toEqual(new Date("2030-06-01T08:00:00Z"));
+  });
+
+  test("works: salary range", async function () {
+    let job = await Job.create({
+      title: "New",
+      salaryMin: 40,
+      salaryMax: 60,
+      salaryCurrency: "EUR",
+      salaryPeriod: "hourly",
+      companyHandle: "c1",
+    });
+    expect(job).toEqual(expect.objectContaining({
+      salary: 40,
+      salaryMin: 40,
+      salaryMax: 60,
+      salaryCurrency: "EUR",
+      salaryPeriod: "hourly",
+    }));
+  });
+
+  test("bad request if salaryMin > salaryMax", async function () {
+    try {
+      await Job.create(
+          { title: "New", salaryMin: 60, salaryMax: 40, companyHandle: "c1" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: attributes are optional", async function () {
+    let job = await Job.create(
+        { title: "New", salary: 50, equity: "0", companyHandle: "c1" });
+    expect(job).toEqual(expect.objectContaining({
+      location: null,
+      remotePolicy: null,
+      employmentType: null,
+      seniority: null,
+    }));
+  });
+
+});
+
+/************************************** importMany */
+
+describe("importMany", function () {
+  test("works", async function () {
+    const results = await Job.importMany([
+      { title: "First", salary: 50, companyHandle: "c1" },
+      { title: "Second", salaryMin: 10, salaryMax: 20, companyHandle: "c2",
+        status: "draft" },
+    ], { actor: "u1" });
+    expect(results).toEqual([
+      { id: expect.any(Number), result: "created" },
+      { id: expect.any(Number), result: "created" },
+    ]);
+
+    const first = await Job.get(results[0].id);
+    expect(first).toEqual(expect.objectContaining({
+      title: "First",
+      salaryMin: 50,
+      salaryMax: 50,
+      salaryCurrency: "USD",
+      salaryPeriod: "annual",
+      status: "open",
+      postedAt: expect.any(Date),
+    }));
+    const second = await Job.get(results[1].id);
+    expect(second).toEqual(expect.objectContaining({
+      title: "Second",
+      salaryMin: 10,
+      salaryMax: 20,
+      status: "draft",
+      postedAt: null,
+    }));
+  });
+
+  test("works: records each job in the audit log", async function () {
+    const results = await Job.importMany(
+        [{ title: "New", companyHandle: "c1" }], { actor: "u1" });
+
+    const audit = await db.query(
+          `SELECT actor, action, entity_type FROM audit_log
+           WHERE entity_id = $1`,
+        [String(results[0].id)]);
+    expect(audit.rows).toEqual([
+      { actor: "u1", action: "create", entity_type: "job" },
+    ]);
+  });
+
+  test("rejects bad rows and saves the rest", async function () {
+    const results = await Job.importMany([
+      { title: "Good", companyHandle: "c1" },
+      { title: "No company", companyHandle: "nope" },
+      { title: "Upside down", salaryMin: 20, salaryMax: 10,
+        companyHandle: "c1" },
+    ], { actor: "u1" });
+    expect(results).toEqual([
+      { id: expect.any(Number), result: "created" },
+      { id: null, result: "rejected", errors: ["No company: nope"] },
+      { id: null, result: "rejected",
+        errors: ["Minimum salary cannot be greater than maximum."] },
+    ]);
+
+    const result = await db.query(
+          `SELECT title FROM jobs WHERE title IN ('Good', 'No company', 'Upside down')`);
+    expect(result.rows).toEqual([{ title: "Good" }]);
+  });
+
+  test("rejects rows the database refuses and saves the rest",
+      async function () {
+        const results = await Job.importMany([
+          { title: "Too much equity", equity: "10", companyHandle: "c1" },
+          { title: "Good", companyHandle: "c1" },
+        ], { actor: "u1" });
+        expect(results).toEqual([
+          { id: null, result: "rejected",
+            errors: [expect.stringContaining("equity_check")] },
+          { id: expect.any(Number), result: "created" },
+        ]);
+
+        const result = await db.query(
+              `SELECT title FROM jobs
+               WHERE title IN ('Too much equity', 'Good')`);
+        expect(result.rows).toEqual([{ title: "Good" }]);
+
+        const audit = await db.query(
+              `SELECT entity_id FROM audit_log WHERE entity_type = 'job'`);
+        expect(audit.rows).toEqual([{ entity_id: String(results[1].id) }]);
+      });
+
+  test("dry run saves nothing", async function () {
+    const results = await Job.importMany(
+        [{ title: "New", companyHandle: "c1" }], { dryRun: true });
+    expect(results).toEqual([{ id: null, result: "created" }]);
+
+    const result = await db.query(`SELECT id FROM jobs WHERE title = 'New'`);
+    expect(result.rows.length).toEqual(0);
+  });
 });
 
 /************************************** findAll */
@@ -51,6 +212,99 @@ describe("findAll", function () {
   });
 });
 
+/************************************** findAll with paging */
+
+describe("findAll with status", function () {
+  test("leaves out drafts, closed and expired jobs", async function () {
+    await Job.create({ title: "Draft", companyHandle: "c1" });
+    await db.query(
+        `UPDATE jobs SET status = 'filled' WHERE id = $1`, [testJobs[1].id]);
+    await db.query(
+        `UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`,
+        [testJobs[2].id]);
+    let jobs = await Job.findAll();
+    expect(jobs).toEqual([testJobs[0]]);
+    expect(await Job.count()).toEqual(1);
+  });
+
+  test("works: includeClosed", async function () {
+    await Job.create({ title: "Draft", companyHandle: "c1" });
+    let jobs = await Job.findAll({ includeClosed: true });
+    expect(jobs.map(j => j.title)).toEqual(["Draft", "Job1", "Job2", "Job3"]);
+  });
+});
+
+describe("findAll with isFavorite", function () {
+  test("works", async function () {
+    await db.query(
+        `INSERT INTO favorites (username, job_id) VALUES ('u1', $1)`,
+        [testJobs[1].id]);
+    let jobs = await Job.findAll({}, {}, "u1");
+    expect(jobs.map(j => j.isFavorite)).toEqual([false, true, false]);
+  });
+});
+
+describe("findAll with paging", function () {
+  test("works: limit and offset", async function () {
+    let jobs = await Job.findAll({}, { limit: 2, offset: 1 });
+    expect(jobs).toEqual([testJobs[1], testJobs[2]]);
+  });
+
+  test("works: sort and direction", async function () {
+    let jobs = await Job.findAll({}, { sort: "salary", direction: "desc" });
+    expect(jobs).toEqual([testJobs[2], testJobs[1], testJobs[0]]);
+  });
+
+  test("bad request for unknown sort", async function () {
+    try {
+      await Job.findAll({}, { sort: "nope" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** streamAll */
+
+describe("streamAll", function () {
+  test("works: same jobs as findAll", async function () {
+    const jobs = [];
+    for await (const job of Job.streamAll({ minSalary: 150 })) {
+      jobs.push(job);
+    }
+    expect(jobs).toEqual([testJobs[1], testJobs[2]]);
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works: no filter", async function () {
+    expect(await Job.count()).toEqual(3);
+  });
+
+  test("works: with filter", async function () {
+    expect(await Job.count({ companyHandle: "c1" })).toEqual(2);
+  });
+});
+
+/************************************** countEach */
+
+describe("countEach", function () {
+  test("works", async function () {
+    expect(await Job.countEach([
+      {},
+      { companyHandle: "c1", minSalary: 150 },
+      { minSalary: 150, title: "nope" },
+    ])).toEqual([3, 1, 0]);
+  });
+
+  test("works: no filters", async function () {
+    expect(await Job.countEach([])).toEqual([]);
+  });
+});
+
 /************************************** findAll with filters */
 
 describe("findAll with filters", function () {
@@ -74,6 +328,71 @@ describe("findAll with filters", function () {
     let jobs = await Job.findAll({companyHandle : "c1"});
     expect(jobs).toEqual([testJobs[0], testJobs[2]]);
   });
+
+  test("filter by company handle: exact match", async function () {
+    await db.query(
+        `INSERT INTO companies (handle, name, description)
+         VALUES ('c10', 'C10', 'Desc10')`);
+    await Job.create(
+        { title: "Job10", salary: 10, equity: "0", companyHandle: "c10" });
+    let jobs = await Job.findAll({companyHandle : "c1"});
+    expect(jobs).toEqual([testJobs[0], testJobs[2]]);
+  });
+
+  test("filter by list of company handles", async function () {
+    let jobs = await Job.findAll({companyHandle : ["c1", "c2"]});
+    expect(jobs).toEqual(testJobs);
+  });
+
+  test("filter by company name", async function () {
+    let jobs = await Job.findAll({companyName : "c2"});
+    expect(jobs).toEqual([testJobs[1]]);
+  });
+
+  test("filter by location", async function () {
+    let jobs = await Job.findAll({location : "new york"});
+    expect(jobs).toEqual([testJobs[0]]);
+  });
+
+  test("filter by remote policy, employment type and seniority",
+      async function () {
+    let jobs = await Job.findAll({
+      remotePolicy : ["remote", "hybrid"],
+      employmentType : "full-time",
+    });
+    expect(jobs).toEqual([testJobs[2]]);
+    jobs = await Job.findAll({seniority : "mid"});
+    expect(jobs).toEqual([testJobs[1]]);
+  });
+
+  test("filter by min salary: compares annual US dollars",
+      async function () {
+    const hourly = await Job.create({
+      title: "Hourly", salaryMin: 20, salaryMax: 30, salaryPeriod: "hourly",
+      companyHandle: "c3", status: "open",
+    });
+    const euros = await Job.create({
+      title: "Euros", salary: 100000, salaryCurrency: "EUR",
+      companyHandle: "c3", status: "open",
+    });
+    await Job.create({
+      title: "Unknown currency", salary: 100000, salaryCurrency: "XYZ",
+      companyHandle: "c3", status: "open",
+    });
+
+    // $30/hour is $62,400 a year; EUR 100,000 is $108,000
+    let jobs = await Job.findAll({ companyHandle: "c3", minSalary: 60000 });
+    expect(jobs.map(j => j.id)).toEqual([euros.id, hourly.id]);
+    jobs = await Job.findAll({ companyHandle: "c3", minSalary: 105000 });
+    expect(jobs.map(j => j.id)).toEqual([euros.id]);
+    jobs = await Job.findAll({ companyHandle: "c3", maxSalary: 50000 });
+    expect(jobs.map(j => j.id)).toEqual([hourly.id]);
+  });
+
+  test("filter by salary range", async function () {
+    let jobs = await Job.findAll({minSalary : 100, maxSalary : 150});
+    expect(jobs).toEqual([testJobs[0], testJobs[1]]);
+  });
   
   test("Cannot SQL inject", async function () {
     let jobs = await Job.findAll({title: "';SELECT * FROM jobs;"});
@@ -82,12 +401,62 @@ describe("findAll with filters", function () {
   
 });
 
+/************************************** search */
+
+describe("search", function () {
+  test("works: matches title", async function () {
+    let jobs = await Job.search("job2");
+    expect(jobs).toEqual([
+      {
+        ...testJobs[1],
+        companyName: "C2",
+        rank: expect.any(Number),
+        snippet: "<mark>Job2</mark> at C2",
+      },
+    ]);
+  });
+
+  test("works: matches title and company name together", async function () {
+    let jobs = await Job.search("job3 c1");
+    expect(jobs.map(j => j.id)).toEqual([testJobs[2].id]);
+  });
+
+  test("works: html in the title is escaped", async function () {
+    await db.query(`UPDATE jobs SET title = '<b>Job2</b>' WHERE id = $1`,
+        [testJobs[1].id]);
+    let jobs = await Job.search("job2");
+    expect(jobs[0].snippet).toEqual("&lt;b&gt;<mark>Job2</mark>&lt;/b&gt; at C2");
+  });
+
+  test("works: no matches", async function () {
+    let jobs = await Job.search("nope");
+    expect(jobs).toEqual([]);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
   test("works", async function () {
     let job = await Job.get(testJobs[0].id);
-    expect(job).toEqual(testJobs[0]);
+    expect(job).toEqual({
+      ...testJobs[0],
+      company: {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+      },
+    });
+  });
+
+  test("works: with isFavorite", async function () {
+    await db.query(
+        `INSERT INTO favorites (username, job_id) VALUES ('u1', $1)`,
+        [testJobs[0].id]);
+    expect((await Job.get(testJobs[0].id, "u1")).isFavorite).toEqual(true);
+    expect((await Job.get(testJobs[0].id, "u2")).isFavorite).toEqual(false);
   });
 
   test("DatabaseError if non number string", async function () {
@@ -109,6 +478,87 @@ describe("get", function () {
   });
 });
 
+/************************************** publish */
+
+describe("publish", function () {
+  test("works", async function () {
+    const draft = await Job.create({ title: "Draft", companyHandle: "c1" });
+    const expiresAt = new Date(Date.now() + 86400000);
+    const job = await Job.publish(draft.id, expiresAt.toISOString());
+    expect(job.status).toEqual("open");
+    expect(job.postedAt).toEqual(expect.any(Date));
+    expect(job.expiresAt).toEqual(expiresAt);
+  });
+
+  test("works: reopens a closed job", async function () {
+    await Job.close(testJobs[0].id);
+    const job = await Job.publish(testJobs[0].id);
+    expect(job.status).toEqual("open");
+  });
+
+  test("bad request if already open", async function () {
+    try {
+      await Job.publish(testJobs[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if it would be expired", async function () {
+    const draft = await Job.create({ title: "Draft", companyHandle: "c1" });
+    try {
+      await Job.publish(draft.id, "2000-01-01T00:00:00Z");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Job.publish(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** close */
+
+describe("close", function () {
+  test("works", async function () {
+    const job = await Job.close(testJobs[0].id);
+    expect(job.status).toEqual("closed");
+  });
+
+  test("works: filled", async function () {
+    const job = await Job.close(testJobs[0].id, "filled");
+    expect(job.status).toEqual("filled");
+  });
+
+  test("works: expired jobs show as closed and can be filled",
+      async function () {
+    await db.query(
+        `UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`,
+        [testJobs[0].id]);
+    expect((await Job.get(testJobs[0].id)).status).toEqual("closed");
+    const job = await Job.close(testJobs[0].id, "filled");
+    expect(job.status).toEqual("filled");
+  });
+
+  test("bad request if not open", async function () {
+    const draft = await Job.create({ title: "Draft", companyHandle: "c1" });
+    try {
+      await Job.close(draft.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -121,15 +571,16 @@ describe("update", function () {
   test("works", async function () {
     let job = await Job.update(testJobs[0].id, updateData);
     expect(job).toEqual({
-      id: testJobs[0].id,
-      companyHandle: testJobs[0].companyHandle,
+      ...testJobs[0],
       ...updateData,
+      salaryMin: 10000,
+      salaryMax: 10000,
     });
 
     const result = await db.query(
           `SELECT id,
                   title,
-                  salary,
+                  salary_min AS salary,
                   equity,
                   company_handle AS "companyHandle"
            FROM jobs
@@ -152,15 +603,16 @@ describe("update", function () {
 
     let job = await Job.update(testJobs[0].id, updateDataNull);
     expect(job).toEqual({
-      id: testJobs[0].id,
-      companyHandle: testJobs[0].companyHandle,
+      ...testJobs[0],
       ...updateDataNull,
+      salaryMin: 15000,
+      salaryMax: 15000,
     });
 
     const result = await db.query(
           `SELECT id,
                   title,
-                  salary,
+                  salary_min AS salary,
                   equity,
                   company_handle AS "companyHandle"
            FROM jobs
@@ -174,6 +626,21 @@ describe("update", function () {
     }]);
   });
 
+  test("works: one end of the salary range", async function () {
+    let job = await Job.update(testJobs[0].id, { salaryMax: 300 });
+    expect(job.salaryMin).toEqual(100);
+    expect(job.salaryMax).toEqual(300);
+  });
+
+  test("bad request if salary range ends up upside down", async function () {
+    try {
+      await Job.update(testJobs[0].id, { salaryMin: 300 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("not found if no such job", async function () {
     try {
       await Job.update(0, updateData);
@@ -206,11 +673,24 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: soft-deletes", async function () {
     await Job.remove(testJobs[0].id);
     const res = await db.query(
-        `SELECT id FROM jobs WHERE id=${testJobs[0].id}`);
-    expect(res.rows.length).toEqual(0);
+        `SELECT deleted_at FROM jobs WHERE id=${testJobs[0].id}`);
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+  });
+
+  test("works: hidden from findAll, count and get", async function () {
+    await Job.remove(testJobs[0].id);
+    const jobs = await Job.findAll();
+    expect(jobs.map(j => j.id)).not.toContain(testJobs[0].id);
+    expect(await Job.count()).toEqual(testJobs.length - 1);
+    try {
+      await Job.get(testJobs[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
   });
 
   test("DatabaseError if access job Id with string", async function () {
@@ -232,3 +712,52 @@ describe("remove", function () {
   });
   
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await Job.remove(testJobs[0].id);
+    const job = await Job.restore(testJobs[0].id);
+    expect(job).toEqual(testJobs[0]);
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await Job.restore(testJobs[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request if company is deleted", async function () {
+    await Company.remove(testJobs[0].companyHandle);
+    try {
+      await Job.restore(testJobs[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await Job.purge(testJobs[0].id);
+    const res = await db.query(
+        `SELECT id FROM jobs WHERE id=${testJobs[0].id}`);
+    expect(res.rows.length).toEqual(0);
+  });
+
+  test("not found if job Id doesn't exist", async function () {
+    try {
+      await Job.purge(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,162 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, TooManyRequestsError } = require("../expressError");
+const {
+  LOGIN_MAX_FAILURES_PER_USERNAME,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+} = require("../config");
+
+/** Related functions for throttling failed logins.
+ *
+ * Failed logins are counted per username and per IP address. Once either
+ * count reaches its limit, logins for that username (or from that IP) are
+ * locked out for a while; each further failure doubles the lockout, up to
+ * a maximum. Counts start over once a username or IP has gone a while
+ * without failing.
+ *
+ * Counts are kept in the database, so they survive restarts and are shared
+ * by every process.
+ */
+
+const MAX_FAILURES = {
+  username: LOGIN_MAX_FAILURES_PER_USERNAME,
+  ip: LOGIN_MAX_FAILURES_PER_IP,
+};
+
+class LoginThrottle {
+  /** Check whether a login attempt is allowed; returns undefined.
+   *
+   * attempt should be { username, ip }
+   *
+   * Throws TooManyRequestsError, with retryAfter in seconds, if the
+   * username or IP is locked out.
+   **/
+
+  static async check({ username, ip }) {
+    const result = await db.query(
+          `SELECT CEIL(EXTRACT(EPOCH FROM MAX(locked_until) - NOW()))::integer
+                    AS "retryAfter"
+           FROM login_failures
+           WHERE ((scope = 'username' AND key = $1)
+                  OR (scope = 'ip' AND key = $2))
+             AND locked_until > NOW()`,
+        [username, ip],
+    );
+
+    const { retryAfter } = result.rows[0];
+
+    if (retryAfter) {
+      throw new TooManyRequestsError(
+          "Too many failed logins; try again later", retryAfter);
+    }
+  }
+
+  /** Count a failed login against its username and IP, locking either out
+   * once it reaches its limit; returns undefined.
+   *
+   * attempt should be { username, ip }
+   **/
+
+  static async recordFailure({ username, ip }) {
+    await LoginThrottle._recordFailure("username", username);
+    await LoginThrottle._recordFailure("ip", ip);
+  }
+
+  /** Forget past failures for the username of a successful login; returns
+   * undefined.
+   *
+   * Failures from the IP still count, so one good account can't be used to
+   * keep guessing at others.
+   **/
+
+  static async recordSuccess({ username }) {
+    await db.query(
+          `DELETE FROM login_failures
+           WHERE scope = 'username' AND key = $1`,
+        [username],
+    );
+  }
+
+  /** Find usernames and IPs with failed logins in the current window.
+   *
+   * Returns [{ scope, key, failures, lastFailureAt, lockedUntil }, ...]
+   * where lockedUntil is null unless currently locked out.
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT scope,
+                  key,
+                  failures,
+                  last_failure_at AS "lastFailureAt",
+                  CASE WHEN locked_until > NOW() THEN locked_until END
+                    AS "lockedUntil"
+           FROM login_failures
+           WHERE GREATEST(last_failure_at, locked_until)
+                   > NOW() - make_interval(mins => $1)
+           ORDER BY scope, key`,
+        [LOGIN_FAILURE_WINDOW_MINUTES],
+    );
+
+    return result.rows;
+  }
+
+  /** Clear failures and any lockout for a username or IP; returns undefined.
+   *
+   * scope is "username" or "ip".
+   *
+   * Throws NotFoundError if there is nothing to clear.
+   **/
+
+  static async clear(scope, key) {
+    const result = await db.query(
+          `DELETE FROM login_failures
+           WHERE scope = $1 AND key = $2
+           RETURNING key`,
+        [scope, key],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No login failures: ${key}`);
+  }
+
+  /* helper function to count one failure, and lock out if over the limit. */
+  static async _recordFailure(scope, key) {
+    // a failure after a quiet window starts the count over
+    const result = await db.query(
+          `INSERT INTO login_failures AS lf (scope, key, failures)
+           VALUES ($1, $2, 1)
+           ON CONFLICT (scope, key) DO UPDATE
+           SET failures = CASE
+                 WHEN GREATEST(lf.last_failure_at, lf.locked_until)
+                        < NOW() - make_interval(mins => $3)
+                 THEN 1
+                 ELSE lf.failures + 1
+               END,
+               last_failure_at = NOW()
+           RETURNING failures`,
+        [scope, key, LOGIN_FAILURE_WINDOW_MINUTES],
+    );
+
+    const { failures } = result.rows[0];
+    const overLimit = failures - MAX_FAILURES[scope];
+
+    if (overLimit < 0) return;
+
+    const lockoutSeconds = Math.min(
+        LOGIN_LOCKOUT_BASE_SECONDS * 2 ** overLimit, LOGIN_LOCKOUT_MAX_SECONDS);
+
+    await db.query(
+          `UPDATE login_failures
+           SET locked_until = NOW() + make_interval(secs => $3)
+           WHERE scope = $1 AND key = $2`,
+        [scope, key, lockoutSeconds],
+    );
+  }
+}
+
+
+module.exports = LoginThrottle;
@@ -0,0 +1,168 @@
+"use strict";
+
+const {
+  NotFoundError,
+  TooManyRequestsError,
+} = require("../expressError");
+const db = require("../db.js");
+const LoginThrottle = require("./loginThrottle.js");
+const {
+  LOGIN_MAX_FAILURES_PER_USERNAME,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+} = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Fail n logins with the given attempt. */
+async function failTimes(n, attempt) {
+  for (let i = 0; i < n; i++) await LoginThrottle.recordFailure(attempt);
+}
+
+/** Retry-after from check, or undefined if not locked out. */
+async function retryAfter(attempt) {
+  try {
+    await LoginThrottle.check(attempt);
+  } catch (err) {
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    return err.retryAfter;
+  }
+}
+
+/************************************** check / recordFailure */
+
+describe("check", function () {
+  test("works: allowed with no failures", async function () {
+    expect(await retryAfter({ username: "u1", ip: "1.1.1.1" })).toBeUndefined();
+  });
+
+  test("works: allowed under the username limit", async function () {
+    const attempt = { username: "u1", ip: "1.1.1.1" };
+    await failTimes(LOGIN_MAX_FAILURES_PER_USERNAME - 1, attempt);
+    expect(await retryAfter(attempt)).toBeUndefined();
+  });
+
+  test("locks out username at the limit, from any IP", async function () {
+    await failTimes(LOGIN_MAX_FAILURES_PER_USERNAME,
+        { username: "u1", ip: "1.1.1.1" });
+    expect(await retryAfter({ username: "u1", ip: "2.2.2.2" }))
+        .toEqual(LOGIN_LOCKOUT_BASE_SECONDS);
+    expect(await retryAfter({ username: "u2", ip: "2.2.2.2" }))
+        .toBeUndefined();
+  });
+
+  test("locks out IP at the limit, for any username", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES_PER_IP; i++) {
+      await LoginThrottle.recordFailure({ username: `user${i}`, ip: "1.1.1.1" });
+    }
+    expect(await retryAfter({ username: "u1", ip: "1.1.1.1" }))
+        .toEqual(LOGIN_LOCKOUT_BASE_SECONDS);
+    expect(await retryAfter({ username: "u1", ip: "2.2.2.2" }))
+        .toBeUndefined();
+  });
+
+  test("backs off exponentially", async function () {
+    const attempt = { username: "u1", ip: "1.1.1.1" };
+    await failTimes(LOGIN_MAX_FAILURES_PER_USERNAME + 2, attempt);
+    expect(await retryAfter(attempt)).toEqual(LOGIN_LOCKOUT_BASE_SECONDS * 4);
+  });
+
+  test("count starts over after a quiet window", async function () {
+    const attempt = { username: "u1", ip: "1.1.1.1" };
+    await failTimes(LOGIN_MAX_FAILURES_PER_USERNAME - 1, attempt);
+    await db.query(
+        `UPDATE login_failures
+         SET last_failure_at = NOW() - INTERVAL '1 day'`);
+    await failTimes(1, attempt);
+
+    const res = await db.query(
+        `SELECT failures FROM login_failures WHERE scope = 'username'`);
+    expect(res.rows).toEqual([{ failures: 1 }]);
+    expect(await retryAfter(attempt)).toBeUndefined();
+  });
+});
+
+/************************************** recordSuccess */
+
+describe("recordSuccess", function () {
+  test("works: clears username but not IP", async function () {
+    const attempt = { username: "u1", ip: "1.1.1.1" };
+    await failTimes(2, attempt);
+    await LoginThrottle.recordSuccess(attempt);
+
+    const res = await db.query(`SELECT scope, failures FROM login_failures`);
+    expect(res.rows).toEqual([{ scope: "ip", failures: 2 }]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await failTimes(LOGIN_MAX_FAILURES_PER_USERNAME,
+        { username: "u1", ip: "1.1.1.1" });
+    await failTimes(1, { username: "u2", ip: "1.1.1.1" });
+
+    const lockouts = await LoginThrottle.findAll();
+    expect(lockouts).toEqual([
+      {
+        scope: "ip",
+        key: "1.1.1.1",
+        failures: LOGIN_MAX_FAILURES_PER_USERNAME + 1,
+        lastFailureAt: expect.any(Date),
+        lockedUntil: null,
+      },
+      {
+        scope: "username",
+        key: "u1",
+        failures: LOGIN_MAX_FAILURES_PER_USERNAME,
+        lastFailureAt: expect.any(Date),
+        lockedUntil: expect.any(Date),
+      },
+      {
+        scope: "username",
+        key: "u2",
+        failures: 1,
+        lastFailureAt: expect.any(Date),
+        lockedUntil: null,
+      },
+    ]);
+  });
+
+  test("leaves out stale failures", async function () {
+    await failTimes(1, { username: "u1", ip: "1.1.1.1" });
+    await db.query(
+        `UPDATE login_failures
+         SET last_failure_at = NOW() - INTERVAL '1 day'`);
+    expect(await LoginThrottle.findAll()).toEqual([]);
+  });
+});
+
+/************************************** clear */
+
+describe("clear", function () {
+  test("works", async function () {
+    const attempt = { username: "u1", ip: "1.1.1.1" };
+    await failTimes(LOGIN_MAX_FAILURES_PER_USERNAME, attempt);
+    await LoginThrottle.clear("username", "u1");
+    expect(await retryAfter(attempt)).toBeUndefined();
+  });
+
+  test("not found if nothing to clear", async function () {
+    try {
+      await LoginThrottle.clear("username", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,83 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createRandomToken, hashToken, claimToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+const { PASSWORD_RESET_EXPIRES_MINUTES } = require("../config");
+const User = require("./user");
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * A reset token is mailed to the user and can be used once, before it
+ * expires, to set a new password.
+ */
+
+class PasswordReset {
+  /** Start a reset for the user with the given username or email.
+   *
+   * data should be { username } or { email }
+   *
+   * Mails a reset token to every matching user. Returns undefined whether
+   * or not any user matched, so callers can't use this to find accounts.
+   **/
+
+  static async request({ username, email }) {
+    const usersRes = await db.query(
+          `SELECT username, email
+           FROM users
+           WHERE (username = $1 OR lower(email) = lower($2))
+             AND deleted_at IS NULL`,
+        [username, email],
+    );
+
+    for (let user of usersRes.rows) {
+      const token = createRandomToken();
+
+      await db.query(
+            `INSERT INTO password_reset_tokens
+               (token_hash, username, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+          [hashToken(token), user.username, PASSWORD_RESET_EXPIRES_MINUTES],
+      );
+
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Jobly password",
+        text: `Someone asked to reset the password for ${user.username}.\n\n`
+            + `Your reset token is:\n\n  ${token}\n\n`
+            + `It works once, for the next ${PASSWORD_RESET_EXPIRES_MINUTES} `
+            + `minutes. If you didn't ask for this, you can ignore this email.`,
+      });
+    }
+  }
+
+  /** Set a new password using a reset token; returns { username }.
+   *
+   * Uses up the token and any other outstanding reset tokens for the user.
+   * Changing the password also signs the user out everywhere.
+   *
+   * Throws BadRequestError if the token is unknown, expired or used.
+   **/
+
+  static async confirm(token, password) {
+    const claimed = await claimToken(
+        db, "password_reset_tokens", token, "username");
+
+    if (!claimed) throw new BadRequestError("Invalid or expired reset token");
+
+    await db.query(
+          `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE username = $1 AND used_at IS NULL`,
+        [claimed.username],
+    );
+
+    await User.update(claimed.username, { password });
+
+    return { username: claimed.username };
+  }
+}
+
+
+module.exports = PasswordReset;
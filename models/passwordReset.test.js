@@ -0,0 +1,117 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const User = require("./user.js");
+const { setMailTransport } = require("../helpers/mail");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+let sentMail;
+
+beforeAll(commonBeforeAll);
+beforeEach(async function () {
+  sentMail = [];
+  setMailTransport({ async send(message) { sentMail.push(message); } });
+  await commonBeforeEach();
+});
+afterEach(async function () {
+  setMailTransport();
+  await commonAfterEach();
+});
+afterAll(commonAfterAll);
+
+/** Pull the reset token out of the last mail sent. */
+function lastToken() {
+  return sentMail[sentMail.length - 1].text.match(/^  (\w+)$/m)[1];
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works: by username", async function () {
+    await PasswordReset.request({ username: "u1" });
+    expect(sentMail.length).toEqual(1);
+    expect(sentMail[0].to).toEqual("u1@email.com");
+
+    const res = await db.query(
+        "SELECT * FROM password_reset_tokens WHERE username = 'u1'");
+    expect(res.rows.length).toEqual(1);
+    expect(res.rows[0].token_hash).not.toEqual(lastToken());
+  });
+
+  test("works: by email, any case", async function () {
+    await PasswordReset.request({ email: "U2@Email.com" });
+    expect(sentMail.map(m => m.to)).toEqual(["u2@email.com"]);
+  });
+
+  test("works: quietly does nothing for unknown user", async function () {
+    await PasswordReset.request({ username: "nope" });
+    expect(sentMail).toEqual([]);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const result = await PasswordReset.confirm(lastToken(), "new-password");
+    expect(result).toEqual({ username: "u1" });
+
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.username).toEqual("u1");
+    expect(user.tokenVersion).toEqual(1);
+  });
+
+  test("bad request if used twice", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const token = lastToken();
+    await PasswordReset.confirm(token, "new-password");
+    try {
+      await PasswordReset.confirm(token, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("using one token uses up the others", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const first = lastToken();
+    await PasswordReset.request({ username: "u1" });
+    await PasswordReset.confirm(lastToken(), "new-password");
+    try {
+      await PasswordReset.confirm(first, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if expired", async function () {
+    await PasswordReset.request({ username: "u1" });
+    await db.query(
+        "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await PasswordReset.confirm(lastToken(), "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if unknown", async function () {
+    try {
+      await PasswordReset.confirm("nope", "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
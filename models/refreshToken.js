@@ -0,0 +1,131 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createRandomToken, hashToken, claimToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Refresh tokens are single use: each refresh hands back a new token in the
+ * same "family" and marks the old one used. Every token issued from one login
+ * shares a family, so logging out (or catching a used token being replayed)
+ * revokes all of them at once.
+ *
+ * Each token also remembers the user's token version when it was issued, so
+ * bumping the version (User.revokeTokens) kills refresh tokens too.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for username.
+   *
+   * familyId is given when rotating; a new family is started otherwise.
+   *
+   * Returns the token.
+   **/
+
+  static async issue(username, familyId = crypto.randomUUID()) {
+    const token = createRandomToken();
+
+    await db.query(
+          `INSERT INTO refresh_tokens
+             (token_hash, username, family_id, token_version, expires_at)
+           SELECT $1, username, $3, token_version,
+                  NOW() + make_interval(days => $4)
+           FROM users
+           WHERE username = $2 AND deleted_at IS NULL`,
+        [hashToken(token), username, familyId, REFRESH_TOKEN_EXPIRES_DAYS],
+    );
+
+    return token;
+  }
+
+  /** Exchange a refresh token for a new one in the same family.
+   *
+   * Returns { user: { username, isAdmin, tokenVersion }, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired, revoked,
+   * already used, or from before the user's token version was bumped. A
+   * used token being presented again means it was stolen, so its whole
+   * family is revoked.
+   **/
+
+  static async rotate(token) {
+    const tokenHash = hashToken(token);
+
+    const claimed = await claimToken(
+        db, "refresh_tokens", token,
+        `username, family_id AS "familyId", token_version AS "tokenVersion"`,
+        "AND revoked_at IS NULL");
+
+    if (!claimed) {
+      const reuseRes = await db.query(
+            `SELECT family_id AS "familyId"
+             FROM refresh_tokens
+             WHERE token_hash = $1
+               AND used_at IS NOT NULL
+               AND revoked_at IS NULL`,
+          [tokenHash],
+      );
+      const reused = reuseRes.rows[0];
+      if (reused) await RefreshToken._revokeFamilyById(reused.familyId);
+
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const userRes = await db.query(
+          `SELECT username,
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [claimed.username],
+    );
+
+    const user = userRes.rows[0];
+
+    if (!user || user.tokenVersion !== claimed.tokenVersion) {
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const refreshToken = await RefreshToken.issue(
+        claimed.username, claimed.familyId);
+
+    return { user, refreshToken };
+  }
+
+  /** Revoke every token in the family the given token belongs to;
+   * returns undefined.
+   *
+   * Throws UnauthorizedError if the token is unknown.
+   **/
+
+  static async revokeFamily(token) {
+    const tokenRes = await db.query(
+          `SELECT family_id AS "familyId"
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+        [hashToken(token)],
+    );
+
+    const found = tokenRes.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid refresh token");
+
+    await RefreshToken._revokeFamilyById(found.familyId);
+  }
+
+  /* helper function to revoke all not-yet-revoked tokens in a family. */
+  static async _revokeFamilyById(familyId) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+        [familyId],
+    );
+  }
+}
+
+
+module.exports = RefreshToken;
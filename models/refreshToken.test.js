@@ -0,0 +1,129 @@
+"use strict";
+
+const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const { hashToken } = require("../helpers/tokens");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works: stores only the hash", async function () {
+    const token = await RefreshToken.issue("u1");
+    const res = await db.query(
+        "SELECT * FROM refresh_tokens WHERE username = 'u1'");
+    expect(res.rows.length).toEqual(1);
+    expect(res.rows[0].token_hash).toEqual(hashToken(token));
+    expect(res.rows[0].expires_at > new Date()).toBeTruthy();
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const result = await RefreshToken.rotate(token);
+    expect(result).toEqual({
+      user: { username: "u1", isAdmin: false, tokenVersion: 0 },
+      refreshToken: expect.any(String),
+    });
+    expect(result.refreshToken).not.toEqual(token);
+
+    const res = await db.query(
+        "SELECT DISTINCT family_id FROM refresh_tokens WHERE username = 'u1'");
+    expect(res.rows.length).toEqual(1);
+  });
+
+  test("unauth if unknown", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.issue("u1");
+    await db.query(
+        "UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'");
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("reuse revokes the whole family", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth after the user's token version is bumped", async function () {
+    const token = await RefreshToken.issue("u1");
+    await db.query("UPDATE users SET token_version = 1 WHERE username = 'u1'");
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revokeFamily */
+
+describe("revokeFamily", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    const otherLogin = await RefreshToken.issue("u1");
+
+    await RefreshToken.revokeFamily(refreshToken);
+
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+
+    // other logins are untouched
+    const result = await RefreshToken.rotate(otherLogin);
+    expect(result.user.username).toEqual("u1");
+  });
+
+  test("unauth if unknown", async function () {
+    try {
+      await RefreshToken.revokeFamily("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
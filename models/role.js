@@ -0,0 +1,198 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+
+/** Related functions for roles and permissions.
+ *
+ * A role (site-admin, company-admin, recruiter, ...) carries a set of
+ * permissions such as "jobs:write". Users are granted roles; company-scoped
+ * roles are always granted for one company, and their permissions only apply
+ * to that company. Site-wide roles apply everywhere.
+ *
+ * Members of a company (see Company.addMember) also get permissions for that
+ * company, through the role their member role maps to in member_roles: an
+ * owner gets the owner role and a recruiter member the member-recruiter
+ * role, which unlike a recruiter grant can also edit the company.
+ *
+ * Users with isAdmin set have every permission without any grants.
+ */
+
+class Role {
+  /** Find all roles.
+   *
+   * Returns [{ name, description, companyScoped, permissions }, ...]
+   * where permissions is [permission, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT r.name,
+                  r.description,
+                  r.company_scoped AS "companyScoped",
+                  COALESCE(array_agg(rp.permission ORDER BY rp.permission)
+                             FILTER (WHERE rp.permission IS NOT NULL),
+                           '{}') AS permissions
+           FROM roles AS r
+                LEFT JOIN role_permissions AS rp ON rp.role = r.name
+           GROUP BY r.name
+           ORDER BY r.name`,
+    );
+
+    return result.rows;
+  }
+
+  /** Find the roles granted to a user.
+   *
+   * Returns [{ id, role, companyHandle }, ...]
+   * where companyHandle is null for site-wide roles.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findForUser(username) {
+    await Role._checkUser(username);
+
+    const result = await db.query(
+          `SELECT id,
+                  role,
+                  company_handle AS "companyHandle"
+           FROM user_roles
+           WHERE username = $1
+           ORDER BY role, company_handle`,
+        [username],
+    );
+
+    return result.rows;
+  }
+
+  /** Grant a role to a user.
+   *
+   * companyHandle is required for company-scoped roles and not allowed for
+   * site-wide ones.
+   *
+   * Returns { id, username, role, companyHandle }
+   *
+   * Throws NotFoundError if the user, role or company is not found, and
+   * BadRequestError if the company doesn't fit the role or the user already
+   * has the grant.
+   **/
+
+  static async grant(username, role, companyHandle = null) {
+    await Role._checkUser(username);
+
+    const roleRes = await db.query(
+          `SELECT company_scoped AS "companyScoped"
+           FROM roles
+           WHERE name = $1`,
+        [role],
+    );
+
+    const found = roleRes.rows[0];
+
+    if (!found) throw new NotFoundError(`No role: ${role}`);
+
+    if (found.companyScoped && !companyHandle) {
+      throw new BadRequestError(`Role ${role} must be granted for a company`);
+    }
+    if (!found.companyScoped && companyHandle) {
+      throw new BadRequestError(`Role ${role} can't be granted for a company`);
+    }
+
+    if (companyHandle) {
+      const companyCheck = await db.query(
+            `SELECT handle
+             FROM companies
+             WHERE handle = $1 AND deleted_at IS NULL`,
+          [companyHandle],
+      );
+
+      if (!companyCheck.rows[0]) {
+        throw new NotFoundError(`No company: ${companyHandle}`);
+      }
+    }
+
+    const duplicateCheck = await db.query(
+          `SELECT id
+           FROM user_roles
+           WHERE username = $1
+             AND role = $2
+             AND company_handle IS NOT DISTINCT FROM $3`,
+        [username, role, companyHandle],
+    );
+
+    if (duplicateCheck.rows[0]) {
+      throw new BadRequestError(`Duplicate grant: ${role} to ${username}`);
+    }
+
+    const result = await db.query(
+          `INSERT INTO user_roles (username, role, company_handle)
+           VALUES ($1, $2, $3)
+           RETURNING id,
+                     username,
+                     role,
+                     company_handle AS "companyHandle"`,
+        [username, role, companyHandle],
+    );
+
+    return result.rows[0];
+  }
+
+  /** Revoke a user's role grant by id; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such grant.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+          `DELETE FROM user_roles
+           WHERE username = $1 AND id = $2
+           RETURNING id`,
+        [username, id],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No grant: ${id}`);
+  }
+
+  /** Whether a user has a permission, either site-wide or, if companyHandle
+   * is given, for that company through a grant or membership.
+   *
+   * Returns true or false.
+   **/
+
+  static async hasPermission(username, permission, companyHandle = null) {
+    const result = await db.query(
+          `SELECT 1
+           FROM (SELECT role, company_handle
+                 FROM user_roles
+                 WHERE username = $1
+                 UNION ALL
+                 SELECT mr.role, m.company_handle
+                 FROM company_members AS m
+                      JOIN member_roles AS mr ON mr.name = m.role
+                 WHERE m.username = $1) AS g
+                JOIN role_permissions AS rp ON rp.role = g.role
+           WHERE rp.permission = $2
+             AND (g.company_handle IS NULL OR g.company_handle = $3)
+           LIMIT 1`,
+        [username, permission, companyHandle],
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /* helper function to throw NotFoundError if no such user. */
+  static async _checkUser(username) {
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+  }
+}
+
+
+module.exports = Role;
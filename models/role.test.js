@@ -0,0 +1,227 @@
+"use strict";
+
+const { NotFoundError, BadRequestError } = require("../expressError");
+const db = require("../db.js");
+const Role = require("./role.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const roles = await Role.findAll();
+    expect(roles).toEqual([
+      {
+        name: "company-admin",
+        description: expect.any(String),
+        companyScoped: true,
+        permissions: ["companies:write", "jobs:write", "members:write"],
+      },
+      {
+        name: "member-recruiter",
+        description: expect.any(String),
+        companyScoped: true,
+        permissions: ["companies:write", "jobs:write"],
+      },
+      {
+        name: "owner",
+        description: expect.any(String),
+        companyScoped: true,
+        permissions: ["companies:write", "jobs:write", "members:write"],
+      },
+      {
+        name: "recruiter",
+        description: expect.any(String),
+        companyScoped: true,
+        permissions: ["jobs:write"],
+      },
+      {
+        name: "site-admin",
+        description: expect.any(String),
+        companyScoped: false,
+        permissions: ["companies:write", "jobs:write", "members:write"],
+      },
+    ]);
+  });
+});
+
+/************************************** grant / findForUser */
+
+describe("grant", function () {
+  test("works: company-scoped", async function () {
+    const granted = await Role.grant("u1", "recruiter", "c1");
+    expect(granted).toEqual({
+      id: expect.any(Number),
+      username: "u1",
+      role: "recruiter",
+      companyHandle: "c1",
+    });
+    expect(await Role.findForUser("u1")).toEqual([
+      { id: granted.id, role: "recruiter", companyHandle: "c1" },
+    ]);
+  });
+
+  test("works: site-wide", async function () {
+    const granted = await Role.grant("u1", "site-admin");
+    expect(granted.companyHandle).toBeNull();
+  });
+
+  test("works: same role for two companies", async function () {
+    await Role.grant("u1", "recruiter", "c1");
+    await Role.grant("u1", "recruiter", "c2");
+    expect((await Role.findForUser("u1")).length).toEqual(2);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.grant("nope", "recruiter", "c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such role", async function () {
+    try {
+      await Role.grant("u1", "nope", "c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Role.grant("u1", "recruiter", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request if company-scoped role has no company", async function () {
+    try {
+      await Role.grant("u1", "recruiter");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if site-wide role has a company", async function () {
+    try {
+      await Role.grant("u1", "site-admin", "c1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request on duplicate grant", async function () {
+    try {
+      await Role.grant("u1", "site-admin");
+      await Role.grant("u1", "site-admin");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+describe("findForUser", function () {
+  test("works: no roles", async function () {
+    expect(await Role.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Role.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { id } = await Role.grant("u1", "recruiter", "c1");
+    await Role.revoke("u1", id);
+    expect(await Role.findForUser("u1")).toEqual([]);
+  });
+
+  test("not found if grant is another user's", async function () {
+    const { id } = await Role.grant("u1", "recruiter", "c1");
+    try {
+      await Role.revoke("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** hasPermission */
+
+describe("hasPermission", function () {
+  test("works: company grant covers its company only", async function () {
+    await Role.grant("u1", "recruiter", "c1");
+    expect(await Role.hasPermission("u1", "jobs:write", "c1")).toEqual(true);
+    expect(await Role.hasPermission("u1", "jobs:write", "c2")).toEqual(false);
+    expect(await Role.hasPermission("u1", "jobs:write")).toEqual(false);
+  });
+
+  test("works: site-wide grant covers every company", async function () {
+    await Role.grant("u1", "site-admin");
+    expect(await Role.hasPermission("u1", "jobs:write", "c2")).toEqual(true);
+    expect(await Role.hasPermission("u1", "jobs:write")).toEqual(true);
+  });
+
+  test("works: only the role's permissions", async function () {
+    await Role.grant("u1", "recruiter", "c1");
+    expect(await Role.hasPermission("u1", "members:write", "c1"))
+        .toEqual(false);
+  });
+
+  test("works: membership counts for its company", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c1', 'u1', 'owner')`);
+    expect(await Role.hasPermission("u1", "members:write", "c1"))
+        .toEqual(true);
+    expect(await Role.hasPermission("u1", "members:write", "c2"))
+        .toEqual(false);
+  });
+
+  test("works: recruiter member can edit the company, recruiter grant can't",
+      async function () {
+        await db.query(
+            `INSERT INTO company_members (company_handle, username, role)
+             VALUES ('c1', 'u1', 'recruiter')`);
+        await Role.grant("u2", "recruiter", "c1");
+        expect(await Role.hasPermission("u1", "companies:write", "c1"))
+            .toEqual(true);
+        expect(await Role.hasPermission("u1", "jobs:write", "c1"))
+            .toEqual(true);
+        expect(await Role.hasPermission("u2", "companies:write", "c1"))
+            .toEqual(false);
+        expect(await Role.hasPermission("u2", "jobs:write", "c1"))
+            .toEqual(true);
+      });
+
+  test("works: no grants", async function () {
+    expect(await Role.hasPermission("u1", "jobs:write", "c1")).toEqual(false);
+  });
+});
@@ -0,0 +1,185 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Job = require("./job");
+
+/** Related functions for users' saved job searches.
+ *
+ * A saved search is a name plus the filters GET /jobs understands
+ * ({ title, minSalary, maxSalary, hasEquity, companyHandle, companyName,
+ * location, remotePolicy, employmentType, seniority }, with the ones that
+ * take comma-separated lists there given as arrays). Each remembers when it
+ * was last checked, so jobs posted since then can be counted (for a badge)
+ * or listed (for a digest).
+ */
+
+class SavedSearch {
+  /** Save a search for a user.
+   *
+   * data should be { name, filters }
+   *
+   * Returns { id, name, filters, createdAt, lastCheckedAt }
+   *
+   * Throws NotFoundError if user not found, and BadRequestError if the user
+   * already has a search with that name.
+   **/
+
+  static async create(username, { name, filters }) {
+    const userCheck = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const duplicateCheck = await db.query(
+          `SELECT id
+           FROM saved_searches
+           WHERE username = $1 AND name = $2`,
+        [username, name],
+    );
+
+    if (duplicateCheck.rows[0]) {
+      throw new BadRequestError(`Duplicate saved search: ${name}`);
+    }
+
+    const result = await db.query(
+          `INSERT INTO saved_searches (username, name, filters)
+           VALUES ($1, $2, $3)
+           RETURNING id,
+                     name,
+                     filters,
+                     created_at AS "createdAt",
+                     last_checked_at AS "lastCheckedAt"`,
+        [username, name, filters],
+    );
+
+    return result.rows[0];
+  }
+
+  /** Find a user's saved searches, each with the number of matching jobs
+   * posted since it was last checked.
+   *
+   * Returns [{ id, name, filters, createdAt, lastCheckedAt, newCount }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+          `SELECT id,
+                  name,
+                  filters,
+                  created_at AS "createdAt",
+                  last_checked_at AS "lastCheckedAt"
+           FROM saved_searches
+           WHERE username = $1
+           ORDER BY name`,
+        [username],
+    );
+
+    const searches = result.rows;
+
+    const newCounts = await Job.countEach(searches.map(search =>
+        ({ ...search.filters, postedAfter: search.lastCheckedAt })));
+    searches.forEach((search, i) => search.newCount = newCounts[i]);
+
+    return searches;
+  }
+
+  /** Given a user's saved search id, return it with the number of matching
+   * jobs posted since it was last checked.
+   *
+   * Returns { id, name, filters, createdAt, lastCheckedAt, newCount }
+   *
+   * Throws NotFoundError if the user has no such search.
+   **/
+
+  static async get(username, id) {
+    const result = await db.query(
+          `SELECT id,
+                  name,
+                  filters,
+                  created_at AS "createdAt",
+                  last_checked_at AS "lastCheckedAt"
+           FROM saved_searches
+           WHERE username = $1 AND id = $2`,
+        [username, id],
+    );
+
+    const search = result.rows[0];
+
+    if (!search) throw new NotFoundError(`No saved search: ${id}`);
+
+    search.newCount = await Job.count(
+        { ...search.filters, postedAfter: search.lastCheckedAt });
+
+    return search;
+  }
+
+  /** List the matching jobs posted since a saved search was last checked,
+   * and mark it checked now.
+   *
+   * The jobs listed are the ones posted up to checkedAt, so a job posted
+   * while the check runs is left for the next one.
+   *
+   * Returns { jobs, checkedAt }
+   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   *
+   * Throws NotFoundError if the user has no such search.
+   **/
+
+  static async check(username, id) {
+    return db.withTransaction(async () => {
+      const result = await db.query(
+            `SELECT filters,
+                    last_checked_at AS "lastCheckedAt",
+                    date_trunc('milliseconds', NOW())::timestamp AS "checkedAt"
+             FROM saved_searches
+             WHERE username = $1 AND id = $2
+             FOR UPDATE`,
+          [username, id],
+      );
+
+      const search = result.rows[0];
+
+      if (!search) throw new NotFoundError(`No saved search: ${id}`);
+
+      const jobs = await Job.findAll({
+        ...search.filters,
+        postedAfter: search.lastCheckedAt,
+        postedBefore: search.checkedAt,
+      });
+
+      await db.query(
+            `UPDATE saved_searches
+             SET last_checked_at = $2
+             WHERE id = $1`,
+          [id, search.checkedAt],
+      );
+
+      return { jobs, checkedAt: search.checkedAt };
+    });
+  }
+
+  /** Delete a user's saved search; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such search.
+   **/
+
+  static async remove(username, id) {
+    const result = await db.query(
+          `DELETE
+           FROM saved_searches
+           WHERE username = $1 AND id = $2
+           RETURNING id`,
+        [username, id],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No saved search: ${id}`);
+  }
+}
+
+
+module.exports = SavedSearch;
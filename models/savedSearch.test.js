@@ -0,0 +1,189 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const SavedSearch = require("./savedSearch.js");
+const Job = require("./job.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Save a search for u1 that was last checked a day ago, after all the
+ * fixture jobs were posted. */
+async function saveChecked(name, filters) {
+  await db.query(
+      `UPDATE jobs SET posted_at = NOW() - INTERVAL '2 days'`);
+  const search = await SavedSearch.create("u1", { name, filters });
+  await db.query(
+      `UPDATE saved_searches
+       SET last_checked_at = NOW() - INTERVAL '1 day'
+       WHERE id = $1`,
+      [search.id]);
+  return search;
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const search = await SavedSearch.create(
+        "u1", { name: "high pay", filters: { minSalary: 150 } });
+    expect(search).toEqual({
+      id: expect.any(Number),
+      name: "high pay",
+      filters: { minSalary: 150 },
+      createdAt: expect.any(Date),
+      lastCheckedAt: expect.any(Date),
+    });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await SavedSearch.create("nope", { name: "x", filters: {} });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request with duplicate name", async function () {
+    try {
+      await SavedSearch.create("u1", { name: "x", filters: {} });
+      await SavedSearch.create("u1", { name: "x", filters: {} });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll / get */
+
+describe("findAll", function () {
+  test("works: counts only new matching jobs", async function () {
+    await saveChecked("equity", { hasEquity: true });
+    await saveChecked("job2", { title: "Job2" });
+    await Job.create(
+        { title: "New", salary: 10, equity: "0.2", companyHandle: "c1",
+          status: "open" });
+
+    const searches = await SavedSearch.findAll("u1");
+    expect(searches.map(s => [s.name, s.newCount])).toEqual([
+      ["equity", 1],
+      ["job2", 0],
+    ]);
+  });
+
+  test("works: none", async function () {
+    expect(await SavedSearch.findAll("u2")).toEqual([]);
+  });
+});
+
+describe("get", function () {
+  test("works", async function () {
+    const { id } = await saveChecked("all", {});
+    await Job.create(
+        { title: "New", salary: 10, equity: "0", companyHandle: "c1",
+          status: "open" });
+
+    const search = await SavedSearch.get("u1", id);
+    expect(search).toEqual({
+      id,
+      name: "all",
+      filters: {},
+      createdAt: expect.any(Date),
+      lastCheckedAt: expect.any(Date),
+      newCount: 1,
+    });
+  });
+
+  test("not found for another user's search", async function () {
+    const { id } = await saveChecked("all", {});
+    try {
+      await SavedSearch.get("u2", id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** check */
+
+describe("check", function () {
+  test("works: lists new jobs and resets", async function () {
+    const { id } = await saveChecked("c1 jobs", { companyHandle: "c1",
+          status: "open" });
+    const job = await Job.create(
+        { title: "New", salary: 10, equity: "0", companyHandle: "c1",
+          status: "open" });
+    await Job.create(
+        { title: "Other", salary: 10, equity: "0", companyHandle: "c2",
+          status: "open" });
+    await db.query(
+        `UPDATE jobs SET posted_at = NOW() - INTERVAL '1 hour'
+         WHERE title IN ('New', 'Other')`);
+
+    const result = await SavedSearch.check("u1", id);
+    expect(result).toEqual({
+      jobs: [{ ...job, postedAt: expect.any(Date) }],
+      checkedAt: expect.any(Date),
+    });
+
+    // jobs from before the check aren't new any more
+    await db.query(
+        `UPDATE jobs SET posted_at = posted_at - INTERVAL '1 hour'`);
+    expect((await SavedSearch.get("u1", id)).newCount).toEqual(0);
+  });
+
+  test("works: jobs posted after the check started are left for the next",
+      async function () {
+        const { id } = await saveChecked("all", {});
+        await Job.create(
+            { title: "Late", salary: 10, equity: "0", companyHandle: "c1",
+              status: "open" });
+        await db.query(
+            `UPDATE jobs SET posted_at = NOW() + INTERVAL '1 minute'
+             WHERE title = 'Late'`);
+
+        const result = await SavedSearch.check("u1", id);
+        expect(result.jobs).toEqual([]);
+        expect((await SavedSearch.get("u1", id)).newCount).toEqual(1);
+      });
+
+  test("not found if no such search", async function () {
+    try {
+      await SavedSearch.check("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    const { id } = await saveChecked("all", {});
+    await SavedSearch.remove("u1", id);
+    expect(await SavedSearch.findAll("u1")).toEqual([]);
+  });
+
+  test("not found if no such search", async function () {
+    try {
+      await SavedSearch.remove("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -3,20 +3,40 @@
 const db = require("../db");
 const bcrypt = require("bcrypt");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPagination } = require("../helpers/pagination");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
 } = require("../expressError");
+const EmailVerification = require("./emailVerification");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const {
+  BCRYPT_WORK_FACTOR,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
+} = require("../config.js");
+
+/** Allowed moves between application states.
+ *
+ * An application starts as "interested" or "applied"; "rejected" and
+ * "accepted" are final.
+ */
+const APPLICATION_TRANSITIONS = {
+  interested: ["applied", "rejected"],
+  applied: ["interviewing", "rejected"],
+  interviewing: ["offered", "rejected"],
+  offered: ["accepted", "rejected"],
+  rejected: [],
+  accepted: [],
+};
 
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, is_admin, tokenVersion }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -29,9 +49,10 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -50,6 +71,9 @@ class User {
   }
 
   /** Register user with data.
+   *
+   * Mails a verification token to the new user's email. The user is saved in
+   * the same transaction as the token, so isn't if the mail can't be sent.
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
@@ -58,50 +82,52 @@ class User {
 
   static async register(
       { username, password, firstName, lastName, email, isAdmin }) {
-    const duplicateCheck = await db.query(
-          `SELECT username
-           FROM users
-           WHERE username = $1`,
-        [username],
-    );
-
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
-    }
-
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(
-          `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
+    return db.withTransaction(async () => {
+      const result = await db.query(
+            `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email,
+              is_admin)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT DO NOTHING
+             RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
+          [
+            username,
+            hashedPassword,
+            firstName,
+            lastName,
             email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-        [
-          username,
-          hashedPassword,
-          firstName,
-          lastName,
-          email,
-          isAdmin,
-        ],
-    );
+            isAdmin,
+          ],
+      );
 
-    const user = result.rows[0];
+      const user = result.rows[0];
 
-    return user;
+      if (!user) throw new BadRequestError(`Duplicate username: ${username}`);
+
+      await EmailVerification.send(user.username);
+
+      return user;
+    });
   }
 
   /** Find all users.
+   *
+   * page is optional { limit, offset, sort, direction }, where sort is one
+   * of User.sortableColumns (default username); see sqlForPagination.
    *
    * Returns [{ username, first_name, last_name, email, is_admin }, ...]
    **/
 
-  static async findAll() {
+  static async findAll(page) {
+    const { orderBy, limit, offset } = sqlForPagination(
+        page, User.sortableColumns, "username");
+
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
@@ -109,16 +135,34 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           ORDER BY username`,
+           WHERE deleted_at IS NULL
+           ORDER BY ${orderBy}, username
+           LIMIT $1
+           OFFSET $2`,
+        [limit, offset],
     );
 
     return result.rows;
   }
 
+  /** Count all users; returns a number. */
+
+  static async count() {
+    const result = await db.query(
+          `SELECT COUNT(*) AS "total"
+           FROM users
+           WHERE deleted_at IS NULL`,
+    );
+
+    return Number(result.rows[0].total);
+  }
+
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin,
+   *           jobs, memberships }
+   *   where jobs is [{ id, title, companyHandle, companyName, state }, ...]
+   *   and memberships is [{ companyHandle, companyName, role }, ...]
    *
    * Throws NotFoundError if user not found.
    **/
@@ -129,9 +173,10 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
+                  email_verified AS "emailVerified",
                   is_admin AS "isAdmin"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -139,6 +184,35 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    const userApplicationsRes = await db.query(
+          `SELECT j.id,
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  c.name AS "companyName",
+                  a.state
+           FROM applications AS a
+                JOIN jobs AS j ON j.id = a.job_id
+                JOIN companies AS c ON c.handle = j.company_handle
+           WHERE a.username = $1 AND j.deleted_at IS NULL
+           ORDER BY j.id`,
+        [username],
+    );
+
+    user.jobs = userApplicationsRes.rows;
+
+    const userMembershipsRes = await db.query(
+          `SELECT m.company_handle AS "companyHandle",
+                  c.name AS "companyName",
+                  m.role
+           FROM company_members AS m
+                JOIN companies AS c ON c.handle = m.company_handle
+           WHERE m.username = $1 AND c.deleted_at IS NULL
+           ORDER BY m.company_handle`,
+        [username],
+    );
+
+    user.memberships = userMembershipsRes.rows;
+
     return user;
   }
 
@@ -152,6 +226,12 @@ class User {
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
+   * Changing the password or isAdmin bumps the user's token version, so
+   * tokens issued before the change stop working.
+   *
+   * Changing the email marks it unverified and mails a verification token
+   * to the new address.
+   *
    * Throws NotFoundError if not found.
    *
    * WARNING: this function can set a new password or make a user an admin.
@@ -164,6 +244,18 @@ class User {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
 
+    let emailChanged = false;
+    if (data.email !== undefined) {
+      const currentRes = await db.query(
+            `SELECT email
+             FROM users
+             WHERE username = $1 AND deleted_at IS NULL`,
+          [username],
+      );
+      const current = currentRes.rows[0];
+      emailChanged = current !== undefined && current.email !== data.email;
+    }
+
     const { setCols, values } = sqlForPartialUpdate(
         data,
         {
@@ -172,10 +264,16 @@ class User {
           isAdmin: "is_admin",
         });
     const usernameVarIdx = "$" + (values.length + 1);
+    const revokesTokens = data.password !== undefined
+        || data.isAdmin !== undefined;
+    const tokenVersionCol = revokesTokens
+        ? ", token_version = token_version + 1"
+        : "";
+    const emailVerifiedCol = emailChanged ? ", email_verified = FALSE" : "";
 
     const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
+                      SET ${setCols}${tokenVersionCol}${emailVerifiedCol} 
+                      WHERE username = ${usernameVarIdx} AND deleted_at IS NULL
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
@@ -186,13 +284,268 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    if (emailChanged) await EmailVerification.send(username);
+
     delete user.password;
     return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Apply user to a job; returns { applied: jobId }.
+   *
+   * state is the starting state of the application, either "applied"
+   * (default) or "interested".
+   *
+   * Throws NotFoundError if user or job not found.
+   *
+   * Throws BadRequestError if user has already applied to the job, or the
+   * job isn't open (it's a draft, or closed, filled or expired).
+   *
+   * Throws ForbiddenError if User.requireVerifiedEmailToApply is on and the
+   * user hasn't verified their email.
+   **/
+
+  static async applyToJob(username, jobId, state = "applied") {
+    if (state !== "applied" && state !== "interested") {
+      throw new BadRequestError(`Invalid starting state: ${state}`);
+    }
+
+    const jobCheck = await db.query(
+          `SELECT id,
+                  status = 'open'
+                    AND (expires_at IS NULL OR expires_at > NOW()) AS "isOpen"
+           FROM jobs
+           WHERE id = $1 AND deleted_at IS NULL`,
+        [jobId],
+    );
+
+    const job = jobCheck.rows[0];
+
+    if (!job) throw new NotFoundError(`No job: ${jobId}`);
+
+    if (!job.isOpen) {
+      throw new BadRequestError(`Job ${jobId} is not open for applications`);
+    }
+
+    const userCheck = await db.query(
+          `SELECT username,
+                  email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    const user = userCheck.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    if (User.requireVerifiedEmailToApply && !user.emailVerified) {
+      throw new ForbiddenError("Verify your email before applying to jobs");
+    }
+
+    await db.withTransaction(async () => {
+      const applicationRes = await db.query(
+            `INSERT INTO applications (username, job_id, state)
+             VALUES ($1, $2, $3)
+             ON CONFLICT DO NOTHING
+             RETURNING job_id`,
+          [username, jobId, state],
+      );
+
+      if (!applicationRes.rows[0]) {
+        throw new BadRequestError(
+            `Duplicate application: ${username} to job ${jobId}`);
+      }
+
+      await db.query(
+            `INSERT INTO application_state_changes (username, job_id, to_state)
+             VALUES ($1, $2, $3)`,
+          [username, jobId, state],
+      );
+    });
+
+    return { applied: jobId };
+  }
+
+  /** Given a username and job id, return the application and its history.
+   *
+   * Returns { username, jobId, state, history }
+   *   where history is [{ fromState, toState, changedAt }, ...], oldest first
+   *
+   * Throws NotFoundError if the user has not applied to the job.
+   **/
+
+  static async getApplication(username, jobId) {
+    const applicationRes = await db.query(
+          `SELECT username,
+                  job_id AS "jobId",
+                  state
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId],
+    );
+
+    const application = applicationRes.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application: ${username} to job ${jobId}`);
+    }
+
+    const historyRes = await db.query(
+          `SELECT from_state AS "fromState",
+                  to_state AS "toState",
+                  changed_at AS "changedAt"
+           FROM application_state_changes
+           WHERE username = $1 AND job_id = $2
+           ORDER BY id`,
+        [username, jobId],
+    );
+
+    application.history = historyRes.rows;
+
+    return application;
+  }
+
+  /** Move an application to a new state, recording when it happened.
+   *
+   * Returns { username, jobId, state, history }, as getApplication does.
+   *
+   * Throws NotFoundError if the user has not applied to the job.
+   *
+   * Throws BadRequestError if the move is not allowed from the current
+   * state (e.g. rejected -> offered).
+   **/
+
+  static async updateApplicationState(username, jobId, state) {
+    await db.withTransaction(async () => {
+      const currentRes = await db.query(
+            `SELECT state
+             FROM applications
+             WHERE username = $1 AND job_id = $2
+             FOR UPDATE`,
+          [username, jobId],
+      );
+
+      const current = currentRes.rows[0];
+
+      if (!current) {
+        throw new NotFoundError(`No application: ${username} to job ${jobId}`);
+      }
+
+      const allowed = APPLICATION_TRANSITIONS[current.state] || [];
+      if (!allowed.includes(state)) {
+        throw new BadRequestError(
+            `Cannot move application from ${current.state} to ${state}`);
+      }
+
+      await db.query(
+            `UPDATE applications
+             SET state = $3
+             WHERE username = $1 AND job_id = $2`,
+          [username, jobId, state],
+      );
+
+      await db.query(
+            `INSERT INTO application_state_changes
+               (username, job_id, from_state, to_state)
+             VALUES ($1, $2, $3, $4)`,
+          [username, jobId, current.state, state],
+      );
+    });
+
+    return User.getApplication(username, jobId);
+  }
+
+  /** Given a username, return the user's current token version, or
+   * undefined if there is no such user (or they're deleted).
+   **/
+
+  static async getTokenVersion(username) {
+    const result = await db.query(
+          `SELECT token_version AS "tokenVersion"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+        [username],
+    );
+
+    const user = result.rows[0];
+
+    return user && user.tokenVersion;
+  }
+
+  /** Sign a user out everywhere by bumping their token version, so every
+   * token and refresh token issued so far stops working; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async revokeTokens(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET token_version = token_version + 1
+           WHERE username = $1
+           RETURNING username`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+  }
+
+  /** Soft-delete given user; returns undefined.
+   *
+   * The user and their applications stay in the database, hidden, until
+   * restored or purged. A deleted user can't log in and their tokens stop
+   * working.
+   *
+   * Throws NotFoundError if user not found.
+   **/
 
   static async remove(username) {
+    let result = await db.query(
+          `UPDATE users
+           SET deleted_at = NOW()
+           WHERE username = $1 AND deleted_at IS NULL
+           RETURNING username`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+  }
+
+  /** Restore a soft-deleted user.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws NotFoundError if there is no soft-deleted user with username.
+   **/
+
+  static async restore(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET deleted_at = NULL
+           WHERE username = $1 AND deleted_at IS NOT NULL
+           RETURNING username,
+                     first_name AS "firstName",
+                     last_name AS "lastName",
+                     email,
+                     is_admin AS "isAdmin"`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+    return user;
+  }
+
+  /** Permanently delete given user, whether or not soft-deleted, along
+   * with their applications; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async purge(username) {
     let result = await db.query(
           `DELETE
            FROM users
@@ -207,4 +560,16 @@ class User {
 }
 
 
+/** Whether users must verify their email before applying to jobs. */
+User.requireVerifiedEmailToApply = REQUIRE_VERIFIED_EMAIL_TO_APPLY;
+
+/** Keys GET /users can sort by, mapped to their database columns. */
+User.sortableColumns = {
+  username: "username",
+  firstName: "first_name",
+  lastName: "last_name",
+  email: "email",
+};
+
+
 module.exports = User;
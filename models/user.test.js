@@ -4,19 +4,31 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const { setMailTransport } = require("../helpers/mail");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobs,
 } = require("./_testCommon");
 
+let sentMail;
+
 beforeAll(commonBeforeAll);
-beforeEach(commonBeforeEach);
-afterEach(commonAfterEach);
+beforeEach(async function () {
+  sentMail = [];
+  setMailTransport({ async send(message) { sentMail.push(message); } });
+  await commonBeforeEach();
+});
+afterEach(async function () {
+  setMailTransport();
+  await commonAfterEach();
+});
 afterAll(commonAfterAll);
 
 /************************************** authenticate */
@@ -30,6 +42,7 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      tokenVersion: 0,
     });
   });
 
@@ -73,6 +86,16 @@ describe("register", function () {
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].is_admin).toEqual(false);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
+    expect(found.rows[0].email_verified).toEqual(false);
+  });
+
+  test("works: mails a verification token", async function () {
+    await User.register({
+      ...newUser,
+      password: "password",
+    });
+    expect(sentMail.length).toEqual(1);
+    expect(sentMail[0].to).toEqual("test@test.com");
   });
 
   test("works: adds admin", async function () {
@@ -129,6 +152,33 @@ describe("findAll", function () {
   });
 });
 
+/************************************** findAll with paging */
+
+describe("findAll with paging", function () {
+  test("works", async function () {
+    const users = await User.findAll(
+        { sort: "firstName", direction: "desc", limit: 1 });
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+  });
+
+  test("bad request for unknown sort", async function () {
+    try {
+      await User.findAll({ sort: "password" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** count */
+
+describe("count", function () {
+  test("works", async function () {
+    expect(await User.count()).toEqual(2);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -139,10 +189,34 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: false,
       isAdmin: false,
+      jobs: [{
+        id: testJobs[0].id,
+        title: "Job1",
+        companyHandle: "c1",
+        companyName: "C1",
+        state: "applied",
+      }],
+      memberships: [],
     });
   });
 
+  test("works: memberships", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c2', 'u1', 'owner')`);
+    let user = await User.get("u1");
+    expect(user.memberships).toEqual([
+      { companyHandle: "c2", companyName: "C2", role: "owner" },
+    ]);
+  });
+
+  test("works: no applications", async function () {
+    let user = await User.get("u2");
+    expect(user.jobs).toEqual([]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.get("nope");
@@ -171,6 +245,34 @@ describe("update", function () {
     });
   });
 
+  test("works: bumps token version on admin change", async function () {
+    await User.update("u1", { isAdmin: true });
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+  });
+
+  test("works: changing email unverifies it and mails a token", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    await User.update("u1", { email: "changed@email.com" });
+
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(false);
+    expect(sentMail.map(m => m.to)).toEqual(["changed@email.com"]);
+  });
+
+  test("works: same email leaves it verified", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    await User.update("u1", { email: "u1@email.com" });
+
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(true);
+    expect(sentMail).toEqual([]);
+  });
+
+  test("works: leaves token version on other changes", async function () {
+    await User.update("u1", { firstName: "New" });
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+  });
+
   test("works: set password", async function () {
     let job = await User.update("u1", {
       password: "new",
@@ -185,6 +287,7 @@ describe("update", function () {
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
+    expect(found.rows[0].token_version).toEqual(1);
   });
 
   test("not found if no such user", async function () {
@@ -209,11 +312,327 @@ describe("update", function () {
   });
 });
 
+/************************************** applyToJob */
+
+describe("applyToJob", function () {
+  test("works", async function () {
+    const result = await User.applyToJob("u2", testJobs[1].id);
+    expect(result).toEqual({ applied: testJobs[1].id });
+
+    const res = await db.query(
+        "SELECT * FROM applications WHERE username = 'u2'");
+    expect(res.rows).toEqual([{
+      username: "u2",
+      job_id: testJobs[1].id,
+      state: "applied",
+    }]);
+  });
+
+  test("works: starting as interested", async function () {
+    await User.applyToJob("u2", testJobs[1].id, "interested");
+    const application = await User.getApplication("u2", testJobs[1].id);
+    expect(application).toEqual({
+      username: "u2",
+      jobId: testJobs[1].id,
+      state: "interested",
+      history: [{
+        fromState: null,
+        toState: "interested",
+        changedAt: expect.any(Date),
+      }],
+    });
+  });
+
+  test("bad request if job is closed", async function () {
+    await db.query(
+        `UPDATE jobs SET status = 'closed' WHERE id = $1`, [testJobs[1].id]);
+    try {
+      await User.applyToJob("u2", testJobs[1].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if job has expired", async function () {
+    await db.query(
+        `UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`,
+        [testJobs[1].id]);
+    try {
+      await User.applyToJob("u2", testJobs[1].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("forbidden if verified email required and not verified", async function () {
+    User.requireVerifiedEmailToApply = true;
+    try {
+      await User.applyToJob("u2", testJobs[1].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    } finally {
+      User.requireVerifiedEmailToApply = false;
+    }
+  });
+
+  test("works if verified email required and verified", async function () {
+    User.requireVerifiedEmailToApply = true;
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u2'");
+    try {
+      const result = await User.applyToJob("u2", testJobs[1].id);
+      expect(result).toEqual({ applied: testJobs[1].id });
+    } finally {
+      User.requireVerifiedEmailToApply = false;
+    }
+  });
+
+  test("bad request if starting state is not allowed", async function () {
+    try {
+      await User.applyToJob("u2", testJobs[1].id, "offered");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await User.applyToJob("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.applyToJob("nope", testJobs[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request if already applied", async function () {
+    try {
+      await User.applyToJob("u1", testJobs[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+describe("applyToJob twice at once", function () {
+  test("one applies, the other is a bad request", async function () {
+    const results = await Promise.allSettled([
+      User.applyToJob("u2", testJobs[1].id),
+      User.applyToJob("u2", testJobs[1].id),
+    ]);
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    const rejected = results.find(r => r.status === "rejected");
+    expect(rejected.reason instanceof BadRequestError).toBeTruthy();
+
+    const history = await db.query(
+        `SELECT to_state FROM application_state_changes
+         WHERE username = 'u2' AND job_id = $1`, [testJobs[1].id]);
+    expect(history.rows).toEqual([{ to_state: "applied" }]);
+  });
+});
+
+/************************************** getApplication */
+
+describe("getApplication", function () {
+  test("works", async function () {
+    const application = await User.getApplication("u1", testJobs[0].id);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobs[0].id,
+      state: "applied",
+      history: [],
+    });
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await User.getApplication("u2", testJobs[0].id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** updateApplicationState */
+
+describe("updateApplicationState", function () {
+  test("works", async function () {
+    const application = await User.updateApplicationState(
+        "u1", testJobs[0].id, "interviewing");
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobs[0].id,
+      state: "interviewing",
+      history: [{
+        fromState: "applied",
+        toState: "interviewing",
+        changedAt: expect.any(Date),
+      }],
+    });
+  });
+
+  test("works: through to accepted", async function () {
+    await User.updateApplicationState("u1", testJobs[0].id, "interviewing");
+    await User.updateApplicationState("u1", testJobs[0].id, "offered");
+    const application = await User.updateApplicationState(
+        "u1", testJobs[0].id, "accepted");
+    expect(application.state).toEqual("accepted");
+    expect(application.history.map(h => h.toState)).toEqual(
+        ["interviewing", "offered", "accepted"]);
+  });
+
+  test("bad request for illegal transition", async function () {
+    await User.updateApplicationState("u1", testJobs[0].id, "rejected");
+    try {
+      await User.updateApplicationState("u1", testJobs[0].id, "offered");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for skipping a state", async function () {
+    try {
+      await User.updateApplicationState("u1", testJobs[0].id, "offered");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await User.updateApplicationState("u2", testJobs[0].id, "interviewing");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("keeps state and history in step for simultaneous changes",
+      async function () {
+        const results = await Promise.allSettled([
+          User.updateApplicationState("u1", testJobs[0].id, "interviewing"),
+          User.updateApplicationState("u1", testJobs[0].id, "interviewing"),
+        ]);
+        expect(results.map(r => r.status).sort())
+            .toEqual(["fulfilled", "rejected"]);
+
+        const application = await User.getApplication("u1", testJobs[0].id);
+        expect(application.state).toEqual("interviewing");
+        expect(application.history.map(h => h.toState))
+            .toEqual(["interviewing"]);
+      });
+});
+
+/************************************** getTokenVersion */
+
+describe("getTokenVersion", function () {
+  test("works", async function () {
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+  });
+
+  test("undefined if no such user", async function () {
+    expect(await User.getTokenVersion("nope")).toBeUndefined();
+  });
+});
+
+/************************************** revokeTokens */
+
+describe("revokeTokens", function () {
+  test("works", async function () {
+    await User.revokeTokens("u1");
+    await User.revokeTokens("u1");
+    expect(await User.getTokenVersion("u1")).toEqual(2);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.revokeTokens("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
+  test("works: soft-deletes", async function () {
+    await User.remove("u1");
+    const res = await db.query(
+        "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+  });
+
+  test("works: hidden and can't log in", async function () {
+    await User.remove("u1");
+    expect((await User.findAll()).map(u => u.username)).toEqual(["u2"]);
+    expect(await User.count()).toEqual(1);
+    expect(await User.getTokenVersion("u1")).toBeUndefined();
+    try {
+      await User.authenticate("u1", "password1");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.remove("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** restore */
+
+describe("restore", function () {
   test("works", async function () {
     await User.remove("u1");
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+    });
+    expect((await User.get("u1")).jobs.length).toEqual(1);
+  });
+
+  test("not found if not deleted", async function () {
+    try {
+      await User.restore("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works", async function () {
+    await User.purge("u1");
     const res = await db.query(
         "SELECT * FROM users WHERE username='u1'");
     expect(res.rows.length).toEqual(0);
@@ -221,7 +640,7 @@ describe("remove", function () {
 
   test("not found if no such user", async function () {
     try {
-      await User.remove("nope");
+      await User.purge("nope");
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
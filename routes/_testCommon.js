@@ -3,6 +3,7 @@
 const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
+const Role = require("../models/role");
 const { createToken } = require("../helpers/tokens");
 
 const testJobs= []
@@ -64,21 +65,45 @@ async function commonBeforeAll() {
   });
   
   const resultsJobs = await db.query(`
-    INSERT INTO jobs (title, salary, equity, company_handle)
-    VALUES  ('Job1', 100, '0.5', 'c1'),
-            ('Job2', 150, NULL, 'c2'),
-            ('Job3', 200, '0.01', 'c1')
-    returning id, title, salary, equity, company_handle AS "companyHandle"`);
+    INSERT INTO jobs (title, salary_min, salary_max, equity, company_handle,
+                      location, remote_policy, employment_type, seniority,
+                      status, posted_at)
+    VALUES  ('Job1', 100, 100, '0.5', 'c1',
+             'New York, NY', 'onsite', 'full-time', 'senior',
+             'open', NOW()),
+            ('Job2', 150, 150, NULL, 'c2',
+             NULL, 'remote', 'contract', 'mid',
+             'open', NOW()),
+            ('Job3', 200, 200, '0.01', 'c1',
+             'Boston, MA', 'hybrid', 'full-time', 'junior',
+             'open', NOW())
+    returning id, title, salary_min AS salary,
+              salary_min AS "salaryMin", salary_max AS "salaryMax",
+              salary_currency AS "salaryCurrency",
+              salary_period AS "salaryPeriod",
+              equity, company_handle AS "companyHandle",
+              location, remote_policy AS "remotePolicy",
+              employment_type AS "employmentType", seniority,
+              status, posted_at AS "postedAt", expires_at AS "expiresAt"`);
   
-  resultsJobs.rows.forEach(ele => testJobs.push(ele));
+  // as they come back in JSON responses
+  resultsJobs.rows.forEach(ele => testJobs.push(
+      { ...ele, postedAt: ele.postedAt.toISOString() }));
+
+  await Role.grant("u3", "recruiter", "c1");
 }
 
+// each test runs in a transaction that's rolled back after it
+let transaction;
+
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  transaction = await db.begin();
+  db.useTransaction(transaction);
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  db.useTransaction(null);
+  await transaction.rollback();
 }
 
 async function commonAfterAll() {
@@ -90,6 +115,9 @@ const adminToken = createToken({ username: "u1", isAdmin: true });
 
 const nonAdminToken = createToken({ username: "u2", isAdmin: false });
 
+// u3 is a recruiter for c1
+const recruiterToken = createToken({ username: "u3", isAdmin: false });
+
 
 module.exports = {
   commonBeforeAll,
@@ -98,5 +126,6 @@ module.exports = {
   commonAfterAll,
   adminToken,
   nonAdminToken,
+  recruiterToken,
   testJobs
 };
@@ -0,0 +1,202 @@
+"use strict";
+
+/** Routes for site administration. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { getNextCursor } = require("../helpers/pagination");
+const { coerceQueryProperty } = require("../helpers/query");
+const { parseCsv } = require("../helpers/csv");
+const Company = require("../models/company");
+const Job = require("../models/job");
+const LoginThrottle = require("../models/loginThrottle");
+const Role = require("../models/role");
+const Audit = require("../models/audit");
+
+const auditSearchSchema = require("../schemas/auditSearch.json");
+const companyNewSchema = require("../schemas/companyNew.json");
+const jobNewSchema = require("../schemas/jobNew.json");
+
+const router = new express.Router();
+
+router.use(ensureLoggedIn, ensureAdmin);
+
+
+/** GET /lockouts  =>
+ *   { lockouts: [{ scope, key, failures, lastFailureAt, lockedUntil }, ...] }
+ *
+ * Lists usernames and IP addresses (scope "username" or "ip") with recent
+ * failed logins. lockedUntil is null unless currently locked out.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/lockouts", async function (req, res, next) {
+  const lockouts = await LoginThrottle.findAll();
+  return res.json({ lockouts });
+});
+
+
+/** DELETE /lockouts/:scope/:key  =>  { cleared: key }
+ *
+ * Clears failed logins, and any lockout, for a username or IP address.
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/lockouts/:scope/:key", async function (req, res, next) {
+  const { scope, key } = req.params;
+  if (scope !== "username" && scope !== "ip") {
+    throw new NotFoundError(`No lockout scope: ${scope}`);
+  }
+
+  await LoginThrottle.clear(scope, key);
+  return res.json({ cleared: key });
+});
+
+
+/** GET /roles  =>
+ *   { roles: [{ name, description, companyScoped, permissions }, ...] }
+ *
+ * Lists the roles that can be granted at POST /users/:username/roles, and
+ * the permissions each carries.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/roles", async function (req, res, next) {
+  const roles = await Role.findAll();
+  return res.json({ roles });
+});
+
+
+/** GET /audit  =>
+ *   { entries: [{ id, actor, action, entityType, entityId, before, after,
+ *                 changes, changedAt }, ...],
+ *     total, nextCursor }
+ *
+ * Lists creates, updates and deletes of companies, jobs and users, and
+ * role grants and company members being added and removed, newest first. before and after are snapshots of the row (null before a create
+ * or after a delete); changes is { field: { before, after }, ... }.
+ *
+ * Can filter on:
+ * - actor (username of who made the change)
+ * - entityType (company, job, user, grant or member)
+ * - entityId (handle, id, username, grant id or handle/username)
+ * - from, to (dates or date-times; inclusive)
+ *
+ * Can page with limit (1-100; all entries if not given) and offset.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/audit", async function (req, res, next) {
+  const query = { ...req.query };
+  const validator = jsonschema.validate(
+      query, auditSearchSchema, { preValidateProperty: coerceQueryProperty });
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { actor, entityType, entityId, from, to, limit, offset } = query;
+  const filters = { actor, entityType, entityId, from, to };
+  const page = { limit, offset };
+
+  const entries = await Audit.findAll(filters, page);
+  const total = await Audit.count(filters);
+  const nextCursor = getNextCursor(page, entries.length, total);
+
+  return res.json({ entries, total, nextCursor });
+});
+
+
+/** Reads the rows of an import: a CSV body (Content-Type text/csv) or a
+ * JSON array. Each row is validated against schema, coercing CSV numbers
+ * and booleans; rows that fail are returned as rejected results and the
+ * rest passed to Model.importMany(rows, { dryRun, actor }), actor being the
+ * logged-in admin.
+ *
+ * Returns { dryRun, created, updated, rejected,
+ *           rows: [{ row, result, ...(handle or id), errors }, ...] }
+ * where row counts from 1 (the first line after a CSV header).
+ */
+
+async function importRows(req, res, schema, Model) {
+  const rows = req.is("text/csv") ? parseCsv(req.body) : req.body;
+  if (!Array.isArray(rows)) {
+    throw new BadRequestError("Expected a CSV body or a JSON array of rows");
+  }
+  const dryRun = req.query.dryRun === "true";
+
+  const results = rows.map(row => {
+    const validator = jsonschema.validate(
+        row, schema, { preValidateProperty: coerceQueryProperty });
+    if (validator.valid) return null;
+    return { result: "rejected", errors: validator.errors.map(e => e.stack) };
+  });
+
+  const validRows = rows.filter((row, i) => !results[i]);
+  const saved = await Model.importMany(
+      validRows, { dryRun, actor: res.locals.user.username });
+  results.forEach((r, i) => {
+    if (!r) results[i] = saved.shift();
+  });
+
+  const count = result => results.filter(r => r.result === result).length;
+  return {
+    dryRun,
+    created: count("created"),
+    updated: count("updated"),
+    rejected: count("rejected"),
+    rows: results.map((r, i) => ({ row: i + 1, ...r })),
+  };
+}
+
+const csvBody = express.text({ type: "text/csv", limit: "1mb" });
+
+
+/** POST /import/companies  =>
+ *   { dryRun, created, updated, rejected,
+ *     rows: [{ row, handle, result, errors }, ...] }
+ *
+ * Body is a CSV file (Content-Type text/csv, with a header line) or a JSON
+ * array of companies, each as for POST /companies. Companies are matched on
+ * handle: new ones are created and existing ones updated. Rows that are
+ * invalid, repeat a handle, or name a deleted company are rejected and the
+ * rest saved together, each recorded in the audit log. With ?dryRun=true
+ * nothing is saved.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/import/companies", csvBody, async function (req, res, next) {
+  const report = await importRows(req, res, companyNewSchema, Company);
+  return res.json(report);
+});
+
+
+/** POST /import/jobs  =>
+ *   { dryRun, created, updated, rejected,
+ *     rows: [{ row, id, result, errors }, ...] }
+ *
+ * Body is a CSV file (Content-Type text/csv, with a header line) or a JSON
+ * array of jobs, each as for POST /jobs except that status defaults to
+ * open, so imported jobs are posted straight away. Rows that are invalid or
+ * name a missing company are rejected and the rest created together, each
+ * recorded in the audit log. With ?dryRun=true nothing is saved and ids are
+ * null.
+ *
+ * Authorization required: admin
+ */
+
+router.post("/import/jobs", csvBody, async function (req, res, next) {
+  const report = await importRows(req, res, jobNewSchema, Job);
+  return res.json(report);
+});
+
+
+module.exports = router;
@@ -0,0 +1,419 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const LoginThrottle = require("../models/loginThrottle");
+const { LOGIN_MAX_FAILURES_PER_USERNAME } = require("../config");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  adminToken,
+  nonAdminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Lock out u3 by failing its logins up to the limit. */
+async function lockOutU3() {
+  for (let i = 0; i < LOGIN_MAX_FAILURES_PER_USERNAME; i++) {
+    await LoginThrottle.recordFailure({ username: "u3", ip: "1.1.1.1" });
+  }
+}
+
+/************************************** GET /admin/lockouts */
+
+describe("GET /admin/lockouts", function () {
+  test("works for admin", async function () {
+    await lockOutU3();
+    const resp = await request(app)
+        .get("/admin/lockouts")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      lockouts: [
+        {
+          scope: "ip",
+          key: "1.1.1.1",
+          failures: LOGIN_MAX_FAILURES_PER_USERNAME,
+          lastFailureAt: expect.any(String),
+          lockedUntil: null,
+        },
+        {
+          scope: "username",
+          key: "u3",
+          failures: LOGIN_MAX_FAILURES_PER_USERNAME,
+          lastFailureAt: expect.any(String),
+          lockedUntil: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/lockouts")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/admin/lockouts");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /admin/lockouts/:scope/:key */
+
+describe("DELETE /admin/lockouts/:scope/:key", function () {
+  test("works for admin: can log in again", async function () {
+    await lockOutU3();
+    const resp = await request(app)
+        .delete("/admin/lockouts/username/u3")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ cleared: "u3" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u3", password: "password3" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("works for admin: IP", async function () {
+    await lockOutU3();
+    const resp = await request(app)
+        .delete("/admin/lockouts/ip/1.1.1.1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ cleared: "1.1.1.1" });
+  });
+
+  test("forbidden for non-admin", async function () {
+    await lockOutU3();
+    const resp = await request(app)
+        .delete("/admin/lockouts/username/u3")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if nothing to clear", async function () {
+    const resp = await request(app)
+        .delete("/admin/lockouts/username/u3")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for bad scope", async function () {
+    const resp = await request(app)
+        .delete("/admin/lockouts/nope/u3")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /admin/roles */
+
+describe("GET /admin/roles", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get("/admin/roles")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.roles.map(r => r.name))
+        .toEqual(["company-admin", "member-recruiter", "owner", "recruiter",
+          "site-admin"]);
+    expect(resp.body.roles[3]).toEqual({
+      name: "recruiter",
+      description: expect.any(String),
+      companyScoped: true,
+      permissions: ["jobs:write"],
+    });
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/roles")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /admin/audit */
+
+describe("GET /admin/audit", function () {
+  test("works for admin: records route changes", async function () {
+    await request(app)
+        .patch("/companies/c1")
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .delete("/users/u2")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      entries: [
+        {
+          id: expect.any(Number),
+          actor: "u2",
+          action: "delete",
+          entityType: "user",
+          entityId: "u2",
+          before: expect.objectContaining({ username: "u2" }),
+          after: expect.objectContaining({ username: "u2" }),
+          changes: {
+            deleted_at: { before: null, after: expect.any(String) },
+          },
+          changedAt: expect.any(String),
+        },
+        {
+          id: expect.any(Number),
+          actor: "u1",
+          action: "update",
+          entityType: "company",
+          entityId: "c1",
+          before: expect.objectContaining({ name: "C1" }),
+          after: expect.objectContaining({ name: "C1-new" }),
+          changes: { name: { before: "C1", after: "C1-new" } },
+          changedAt: expect.any(String),
+        },
+      ],
+      total: 2,
+      nextCursor: null,
+    });
+  });
+
+  test("works: filters and pages", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ title: "New", salary: 10, equity: "0", companyHandle: "c1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .patch(`/jobs/${resp.body.job.id}`)
+        .send({ title: "Newer" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const audit = await request(app)
+        .get("/admin/audit")
+        .query({ entityType: "job", entityId: resp.body.job.id, limit: 1 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(audit.body.entries.map(e => e.action)).toEqual(["update"]);
+    expect(audit.body.total).toEqual(2);
+    expect(audit.body.nextCursor).toEqual(1);
+  });
+
+  test("bad request for invalid filter", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .query({ from: "yesterday" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for unknown filter", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .query({ nope: "1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .get("/admin/audit")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /admin/import/companies */
+
+describe("POST /admin/import/companies", function () {
+  test("works for admin: CSV", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies")
+        .type("text/csv")
+        .send("handle,name,description,numEmployees\n"
+              + 'new,New,"A new, shiny company",5\n'
+              + "c1,C1,Updated,\n"
+              + "bad,Bad,Bad,lots\n")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      dryRun: false,
+      created: 1,
+      updated: 1,
+      rejected: 1,
+      rows: [
+        { row: 1, handle: "new", result: "created" },
+        { row: 2, handle: "c1", result: "updated" },
+        { row: 3, result: "rejected", errors: [expect.any(String)] },
+      ],
+    });
+
+    const company = await request(app).get("/companies/new");
+    expect(company.body.company).toEqual(expect.objectContaining({
+      description: "A new, shiny company",
+      numEmployees: 5,
+    }));
+  });
+
+  test("works: records each save in the audit log", async function () {
+    await request(app)
+        .post("/admin/import/companies")
+        .send([{ handle: "new", name: "New", description: "New" },
+               { handle: "c1", name: "C1", description: "Updated" }])
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const audit = await request(app)
+        .get("/admin/audit")
+        .query({ entityType: "company" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(audit.body.entries.map(e => [e.actor, e.action, e.entityId]))
+        .toEqual(expect.arrayContaining([
+          ["u1", "create", "new"],
+          ["u1", "update", "c1"],
+        ]));
+    expect(audit.body.total).toEqual(2);
+  });
+
+  test("works: JSON dry run", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies")
+        .query({ dryRun: true })
+        .send([{ handle: "new", name: "New", description: "New" }])
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      dryRun: true,
+      created: 1,
+      updated: 0,
+      rejected: 0,
+      rows: [{ row: 1, handle: "new", result: "created" }],
+    });
+
+    const company = await request(app).get("/companies/new");
+    expect(company.statusCode).toEqual(404);
+  });
+
+  test("bad request if not an array", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies")
+        .send({ handle: "new", name: "New", description: "New" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for malformed CSV", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies")
+        .type("text/csv")
+        .send('handle,name\n"new,New\n')
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post("/admin/import/companies")
+        .send([])
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /admin/import/jobs */
+
+describe("POST /admin/import/jobs", function () {
+  test("works for admin: CSV", async function () {
+    const resp = await request(app)
+        .post("/admin/import/jobs")
+        .type("text/csv")
+        .send("title,companyHandle,salaryMin,salaryMax,status\n"
+              + "New,c1,10,20,open\n"
+              + "Orphan,nope,,,\n")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      dryRun: false,
+      created: 1,
+      updated: 0,
+      rejected: 1,
+      rows: [
+        { row: 1, id: expect.any(Number), result: "created" },
+        { row: 2, id: null, result: "rejected", errors: ["No company: nope"] },
+      ],
+    });
+
+    const job = await request(app).get(`/jobs/${resp.body.rows[0].id}`);
+    expect(job.body.job).toEqual(expect.objectContaining({
+      title: "New",
+      salaryMin: 10,
+      salaryMax: 20,
+      status: "open",
+    }));
+  });
+
+  test("works: jobs are open by default and audited", async function () {
+    const resp = await request(app)
+        .post("/admin/import/jobs")
+        .send([{ title: "New", companyHandle: "c1" }])
+        .set("authorization", `Bearer ${adminToken}`);
+    const id = resp.body.rows[0].id;
+
+    const job = await request(app).get(`/jobs/${id}`);
+    expect(job.body.job.status).toEqual("open");
+
+    const audit = await request(app)
+        .get("/admin/audit")
+        .query({ entityType: "job", entityId: id })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(audit.body.entries).toEqual([
+      expect.objectContaining({ actor: "u1", action: "create" }),
+    ]);
+  });
+
+  test("works: rows the database refuses are rejected", async function () {
+    const resp = await request(app)
+        .post("/admin/import/jobs")
+        .send([{ title: "Rich", equity: "10", companyHandle: "c1" },
+               { title: "New", companyHandle: "c1" }])
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual(expect.objectContaining({
+      created: 1,
+      rejected: 1,
+    }));
+    expect(resp.body.rows[0]).toEqual({
+      row: 1, id: null, result: "rejected", errors: [expect.any(String)],
+    });
+  });
+
+  test("works: JSON dry run", async function () {
+    const resp = await request(app)
+        .post("/admin/import/jobs")
+        .query({ dryRun: true })
+        .send([{ title: "New", companyHandle: "c1" }, { title: "No company" }])
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      dryRun: true,
+      created: 1,
+      updated: 0,
+      rejected: 1,
+      rows: [
+        { row: 1, id: null, result: "created" },
+        { row: 2, result: "rejected", errors: [expect.any(String)] },
+      ],
+    });
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post("/admin/import/jobs")
+        .send([])
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
@@ -5,16 +5,28 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const LoginThrottle = require("../models/loginThrottle");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const emailVerifySchema = require("../schemas/emailVerify.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token to get a new one from /auth/refresh once it expires.
+ *
+ * Too many failed logins for a username, or from an IP address, lock out
+ * further attempts for a while: these get a 429 with a Retry-After header.
  *
  * Authorization required: none
  */
@@ -27,17 +39,34 @@ router.post("/token", async function (req, res, next) {
   }
 
   const { username, password } = req.body;
-  const user = await User.authenticate(username, password);
+  const attempt = { username, ip: req.ip };
+  await LoginThrottle.check(attempt);
+
+  let user;
+  try {
+    user = await User.authenticate(username, password);
+  } catch (err) {
+    if (err instanceof UnauthorizedError) {
+      await LoginThrottle.recordFailure(attempt);
+    }
+    throw err;
+  }
+  await LoginThrottle.recordSuccess(attempt);
+
   const token = createToken(user);
-  return res.json({ token });
+  const refreshToken = await RefreshToken.issue(user.username);
+  return res.json({ token, refreshToken });
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Mails a token for /auth/verify-email to the new user's email.
+ *
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token to get a new one from /auth/refresh once it expires.
  *
  * Authorization required: none
  */
@@ -51,7 +80,115 @@ router.post("/register", async function (req, res, next) {
 
   const newUser = await User.register({ ...req.body, isAdmin: false });
   const token = createToken(newUser);
-  return res.status(201).json({ token });
+  const refreshToken = await RefreshToken.issue(newUser.username);
+  return res.status(201).json({ token, refreshToken });
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new JWT token and a new refresh token. Each
+ * refresh token can only be used once; reusing one logs out every session
+ * that came from the same login.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, refreshTokenSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { user, refreshToken } = await RefreshToken.rotate(
+      req.body.refreshToken);
+  const token = createToken(user);
+  return res.json({ token, refreshToken });
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token and every other refresh token from the same
+ * login. JWT tokens already handed out stay valid until they expire.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, refreshTokenSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  await RefreshToken.revokeFamily(req.body.refreshToken);
+  return res.json({ loggedOut: true });
+});
+
+
+/** POST /auth/password-reset/request:   { username } or { email }
+ *    => { requested: true }
+ *
+ * Mails a single-use password reset token to the matching user. Responds
+ * the same whether or not a user matched.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  await PasswordReset.request(req.body);
+  return res.status(202).json({ requested: true });
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password }
+ *    => { reset: username }
+ *
+ * Sets a new password using a token from /auth/password-reset/request.
+ * This signs the user out everywhere; they log in again with the new
+ * password.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { username } = await PasswordReset.confirm(
+      req.body.token, req.body.password);
+  return res.json({ reset: username });
+});
+
+
+/** POST /auth/verify-email:   { token } => { verified: username }
+ *
+ * Marks the user's email as verified using the token mailed to them on
+ * registering or changing their email.
+ *
+ * Authorization required: none
+ */
+
+router.post("/verify-email", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, emailVerifySchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { username } = await EmailVerification.confirm(req.body.token);
+  return res.json({ verified: username });
 });
 
 
@@ -3,6 +3,11 @@
 const request = require("supertest");
 
 const app = require("../app");
+const { setMailTransport } = require("../helpers/mail");
+const {
+  LOGIN_MAX_FAILURES_PER_USERNAME,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+} = require("../config");
 
 const {
   commonBeforeAll,
@@ -28,6 +33,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -71,6 +77,52 @@ describe("POST /auth/token", function () {
   });
 });
 
+describe("POST /auth/token lockout", function () {
+  async function failLogins(n) {
+    for (let i = 0; i < n; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "nope" });
+    }
+  }
+
+  test("429 with Retry-After once locked out", async function () {
+    await failLogins(LOGIN_MAX_FAILURES_PER_USERNAME);
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"])
+        .toEqual(String(LOGIN_LOCKOUT_BASE_SECONDS));
+  });
+
+  test("success under the limit clears failures", async function () {
+    await failLogins(LOGIN_MAX_FAILURES_PER_USERNAME - 1);
+    const ok = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(ok.statusCode).toEqual(200);
+
+    await failLogins(LOGIN_MAX_FAILURES_PER_USERNAME - 1);
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("bad requests don't count", async function () {
+    for (let i = 0; i < LOGIN_MAX_FAILURES_PER_USERNAME; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1" });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+  });
+});
+
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
@@ -87,6 +139,7 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -112,3 +165,233 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body.refreshToken;
+  }
+
+  test("works: returns a new pair", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("reuse of a used token revokes the family", async function () {
+    const first = await login();
+    const rotated = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first });
+    const second = rotated.body.refreshToken;
+
+    const reuse = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first });
+    expect(reuse.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: second });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works: refresh token no longer usable", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const { refreshToken } = loginResp.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("unauth for unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  let sentMail;
+
+  beforeEach(function () {
+    sentMail = [];
+    setMailTransport({ async send(message) { sentMail.push(message); } });
+  });
+
+  afterEach(function () {
+    setMailTransport();
+  });
+
+  function mailedToken() {
+    return sentMail[0].text.match(/^  (\w+)$/m)[1];
+  }
+
+  test("works: request then confirm", async function () {
+    const reqResp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    expect(reqResp.statusCode).toEqual(202);
+    expect(reqResp.body).toEqual({ requested: true });
+    expect(sentMail.length).toEqual(1);
+
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: mailedToken(), password: "new-password" });
+    expect(resp.body).toEqual({ reset: "u1" });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("works: request by email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    expect(resp.statusCode).toEqual(202);
+    expect(sentMail[0].to).toEqual("user1@user.com");
+  });
+
+  test("same response for unknown user", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "nope" });
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ requested: true });
+    expect(sentMail).toEqual([]);
+  });
+
+  test("bad request for request with both or neither", async function () {
+    const both = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1", email: "user1@user.com" });
+    expect(both.statusCode).toEqual(400);
+
+    const neither = await request(app)
+        .post("/auth/password-reset/request")
+        .send({});
+    expect(neither.statusCode).toEqual(400);
+  });
+
+  test("bad request for token used twice", async function () {
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: mailedToken(), password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: mailedToken(), password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for short password", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "whatever", password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email */
+
+describe("POST /auth/verify-email", function () {
+  let sentMail;
+
+  beforeEach(function () {
+    sentMail = [];
+    setMailTransport({ async send(message) { sentMail.push(message); } });
+  });
+
+  afterEach(function () {
+    setMailTransport();
+  });
+
+  test("works: token mailed on register", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(sentMail.map(m => m.to)).toEqual(["new@email.com"]);
+    const token = sentMail[0].text.match(/^  (\w+)$/m)[1];
+
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    expect(resp.body).toEqual({ verified: "new" });
+  });
+
+  test("bad request for unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -6,14 +6,29 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  ensureAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { getNextCursor } = require("../helpers/pagination");
+const { coerceQueryProperty } = require("../helpers/query");
+const { sendCsv, wantsCsv } = require("../helpers/csv");
 const Company = require("../models/company");
+const Audit = require("../models/audit");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companySearchSchema = require("../schemas/companySearch.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
 
 const router = new express.Router();
 
+/** Columns of a GET / CSV download. */
+const COMPANY_CSV_COLUMNS = [
+  "handle", "name", "description", "numEmployees", "logoUrl",
+];
+
 
 /** POST / { company } =>  { company }
  *
@@ -21,22 +36,30 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: login, isAdmin
+ * Authorization required: login, companies:write site-wide (admin or
+ * site-admin role)
  */
 
-router.post("/", ensureLoggedIn, ensureAdmin, async function (req, res, next) {
+router.post("/",
+    ensureLoggedIn,
+    requirePermission("companies:write"),
+    async function (req, res, next) {
   const validator = jsonschema.validate(req.body, companyNewSchema);
   if (!validator.valid) {
     const errs = validator.errors.map(e => e.stack);
     throw new BadRequestError(errs);
   }
 
-  const company = await Company.create(req.body);
+  const company = await Audit.track(
+      { actor: res.locals.user.username, action: "create",
+        entityType: "company" },
+      () => Company.create(req.body));
   return res.status(201).json({ company });
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total, nextCursor }
  *
  * Can filter on provided search filters:
  * - minEmployees
@@ -45,28 +68,63 @@ router.post("/", ensureLoggedIn, ensureAdmin, async function (req, res, next) {
  *
  * If min is greater than max in query, throw bad request
  *
+ * Can page and sort with:
+ * - limit (1-100; all matches if not given), offset
+ * - sort (handle, name or numEmployees; default name)
+ * - direction (asc or desc)
+ *
+ * The query string is validated against companySearch.json; unknown
+ * parameters are a bad request.
+ *
+ * total is the number of companies matching the filters; nextCursor is the
+ * offset of the next page, or null if there are no more.
+ *
+ * With format=csv, or an Accept header preferring text/csv, the companies
+ * are sent as a companies.csv download instead (a header line, then a line
+ * per company), streamed from the database as they are read.
+ *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
-  
+  const query = { ...req.query };
+  const validator = jsonschema.validate(
+      query, companySearchSchema, { preValidateProperty: coerceQueryProperty });
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
   const {
-    minEmp = req.query.minEmployees,
-    maxEmp = req.query.maxEmployees,
-    name = req.query.nameLike 
-    } =Object.keys(req.query);
-  let companies;
-  
-  if(!minEmp && !maxEmp && !name){
-    companies = await Company.findAll();
-  }else{
-    if (minEmp > maxEmp){
-      throw new BadRequestError("Minimum number of employees cannot be greater than maximum.");
-    }
-    companies = await Company.findAll({name, minEmp, maxEmp});
+    minEmployees,
+    maxEmployees,
+    nameLike,
+    limit,
+    offset,
+    sort,
+    direction,
+    format
+    } = query;
+
+  if (minEmployees !== undefined
+      && maxEmployees !== undefined
+      && minEmployees > maxEmployees){
+    throw new BadRequestError("Minimum number of employees cannot be greater than maximum.");
+  }
+
+  const filters = { name: nameLike, minEmp: minEmployees, maxEmp: maxEmployees };
+  const page = { limit, offset, sort, direction };
+
+  if (wantsCsv(req, format)) {
+    return sendCsv(res, "companies.csv", COMPANY_CSV_COLUMNS,
+        Company.streamAll(filters, page));
   }
   
-  return res.json({ companies });
+  const companies = await Company.findAll(filters, page);
+  const total = await Company.count(filters);
+  const nextCursor = getNextCursor(page, companies.length, total);
+  
+  return res.json({ companies, total, nextCursor });
 });
 
 /** GET /[handle]  =>  { company }
@@ -90,29 +148,141 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: login, isAdmin
+ * Members of the company (owners and recruiters) can update it; a recruiter
+ * role grant only covers its jobs.
+ *
+ * Authorization required: login, companies:write for the company
  */
 
-router.patch("/:handle", ensureLoggedIn, ensureAdmin, async function (req, res, next) {
+router.patch("/:handle",
+    ensureLoggedIn,
+    requirePermission("companies:write", req => req.params.handle),
+    async function (req, res, next) {
   const validator = jsonschema.validate(req.body, companyUpdateSchema);
   if (!validator.valid) {
     const errs = validator.errors.map(e => e.stack);
     throw new BadRequestError(errs);
   }
 
-  const company = await Company.update(req.params.handle, req.body);
+  const company = await Audit.track(
+      { actor: res.locals.user.username, action: "update",
+        entityType: "company", entityId: req.params.handle },
+      () => Company.update(req.params.handle, req.body));
   return res.json({ company });
 });
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: login, isAdmin
+ * Soft-deletes the company and its jobs: they're hidden until restored
+ * with POST /[handle]/restore or purged with DELETE /[handle]/purge.
+ *
+ * Authorization: login, companies:write site-wide (admin or site-admin
+ * role); company-scoped grants and members can't delete their company
  */
 
-router.delete("/:handle", ensureLoggedIn, ensureAdmin, async function (req, res, next) {
-  await Company.remove(req.params.handle);
+router.delete("/:handle",
+    ensureLoggedIn,
+    requirePermission("companies:write"),
+    async function (req, res, next) {
+  await Audit.track(
+      { actor: res.locals.user.username, action: "delete",
+        entityType: "company", entityId: req.params.handle },
+      () => Company.remove(req.params.handle));
   return res.json({ deleted: req.params.handle });
 });
 
+/** POST /[handle]/restore  =>  { company }
+ *
+ * Restores a soft-deleted company, and the jobs deleted along with it.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl }
+ *
+ * Authorization: login, isAdmin
+ */
+
+router.post("/:handle/restore", ensureLoggedIn, ensureAdmin, async function (req, res, next) {
+  const company = await Audit.track(
+      { actor: res.locals.user.username, action: "restore",
+        entityType: "company", entityId: req.params.handle },
+      () => Company.restore(req.params.handle));
+  return res.json({ company });
+});
+
+/** DELETE /[handle]/purge  =>  { purged: handle }
+ *
+ * Permanently deletes the company, whether or not soft-deleted, with its
+ * jobs and their applications. This can't be undone.
+ *
+ * Authorization: login, isAdmin
+ */
+
+router.delete("/:handle/purge", ensureLoggedIn, ensureAdmin, async function (req, res, next) {
+  await Audit.track(
+      { actor: res.locals.user.username, action: "purge",
+        entityType: "company", entityId: req.params.handle },
+      () => Company.purge(req.params.handle));
+  return res.json({ purged: req.params.handle });
+});
+
+
+/** GET /[handle]/members  =>
+ *   { members: [{ username, firstName, lastName, role }, ...] }
+ *
+ * role is "owner" or "recruiter".
+ *
+ * Authorization required: login
+ */
+
+router.get("/:handle/members", ensureLoggedIn, async function (req, res, next) {
+  const members = await Company.findMembers(req.params.handle);
+  return res.json({ members });
+});
+
+/** POST /[handle]/members { username, role }
+ *    =>  { member: { companyHandle, username, role } }
+ *
+ * Adds a user to the company as an "owner" or "recruiter". Owners can
+ * manage the company, its jobs and its members; recruiters can manage the
+ * company and its jobs.
+ *
+ * Authorization required: login, members:write for the company
+ */
+
+router.post("/:handle/members",
+    ensureLoggedIn,
+    requirePermission("members:write", req => req.params.handle),
+    async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, companyMemberNewSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const member = await Audit.track(
+      { actor: res.locals.user.username, action: "create",
+        entityType: "member",
+        entityId: `${req.params.handle}/${req.body.username}` },
+      () => Company.addMember(
+          req.params.handle, req.body.username, req.body.role));
+  return res.status(201).json({ member });
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: login, members:write for the company
+ */
+
+router.delete("/:handle/members/:username",
+    ensureLoggedIn,
+    requirePermission("members:write", req => req.params.handle),
+    async function (req, res, next) {
+  await Audit.track(
+      { actor: res.locals.user.username, action: "delete",
+        entityType: "member",
+        entityId: `${req.params.handle}/${req.params.username}` },
+      () => Company.removeMember(req.params.handle, req.params.username));
+  return res.json({ removed: req.params.username });
+});
+
 
 module.exports = router;
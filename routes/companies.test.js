@@ -4,6 +4,7 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const Audit = require("../models/audit");
 
 const {
   commonBeforeAll,
@@ -12,7 +13,8 @@ const {
   commonAfterAll,
   testJobs,
   adminToken,
-  nonAdminToken
+  nonAdminToken,
+  recruiterToken
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -63,6 +65,16 @@ describe("POST /companies", function () {
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("ok for site-admin role", async function () {
+    await db.query(
+        `INSERT INTO user_roles (username, role) VALUES ('u2', 'site-admin')`);
+    const resp = await request(app)
+        .post("/companies")
+        .send(newCompany)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
   
   test("fail for non admin users", async function () {
     const resp = await request(app)
@@ -133,6 +145,8 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      total: 3,
+      nextCursor: null,
     });
   });
   
@@ -149,6 +163,8 @@ describe("GET /companies", function () {
             logoUrl: "http://c1.img",
           },
         ],
+      total: 1,
+      nextCursor: null,
     });
   });
   
@@ -172,6 +188,8 @@ describe("GET /companies", function () {
             logoUrl: "http://c3.img",
           },
         ],
+      total: 2,
+      nextCursor: null,
     });
   });
     
@@ -195,15 +213,97 @@ describe("GET /companies", function () {
             logoUrl: "http://c2.img",
           },
         ],
+      total: 2,
+      nextCursor: null,
     });
   });
   
+  test("pages and sorts", async function () {
+    const resp = await request(app)
+        .get("/companies?sort=numEmployees&direction=desc&limit=2");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.nextCursor).toEqual(2);
+
+    const nextResp = await request(app)
+        .get("/companies?sort=numEmployees&direction=desc&limit=2&offset=2");
+    expect(nextResp.body.companies.map(c => c.handle)).toEqual(["c1"]);
+    expect(nextResp.body.nextCursor).toEqual(null);
+  });
+
+  test("total counts all filtered matches, not just the page", async function () {
+    const resp = await request(app).get("/companies?minEmployees=2&limit=1");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2"]);
+    expect(resp.body.total).toEqual(2);
+    expect(resp.body.nextCursor).toEqual(1);
+  });
+
+  test("bad request for sort column not in whitelist", async function () {
+    const resp = await request(app).get("/companies?sort=description");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for invalid limit", async function () {
+    const resp = await request(app).get("/companies?limit=-5");
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("validate min can't be more than max", async function () {
     const resp = await request(app).get("/companies?maxEmployees=1&minEmployees=2");
     expect(resp.status).toEqual(400);
     expect(resp.badRequest).toEqual(true);
   });
 
+  test("compares min and max as numbers, not strings", async function () {
+    const resp = await request(app).get("/companies?minEmployees=2&maxEmployees=10");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+  });
+
+  test("bad request for non-numeric employees", async function () {
+    const resp = await request(app).get("/companies?minEmployees=lots");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: CSV with format=csv", async function () {
+    const resp = await request(app).get("/companies?format=csv&maxEmployees=2");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(resp.headers["content-disposition"])
+        .toEqual('attachment; filename="companies.csv"');
+    expect(resp.text).toEqual(
+        "handle,name,description,numEmployees,logoUrl\n"
+        + "c1,C1,Desc1,1,http://c1.img\n"
+        + "c2,C2,Desc2,2,http://c2.img\n");
+  });
+
+  test("works: CSV with Accept header", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .query({ limit: 1, sort: "handle", direction: "desc" })
+        .set("accept", "text/csv");
+    expect(resp.text).toEqual(
+        "handle,name,description,numEmployees,logoUrl\n"
+        + "c3,C3,Desc3,3,http://c3.img\n");
+  });
+
+  test("works: format=json overrides Accept", async function () {
+    const resp = await request(app)
+        .get("/companies?format=json")
+        .set("accept", "text/csv");
+    expect(resp.body.total).toEqual(3);
+  });
+
+  test("bad request for unknown format", async function () {
+    const resp = await request(app).get("/companies?format=xml");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for unknown query parameter", async function () {
+    const resp = await request(app).get("/companies?handle=c1");
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -230,23 +330,22 @@ describe("GET /companies/:handle", function () {
         numEmployees: 1,
         logoUrl: "http://c1.img",
         jobs: [
-          { id: testJobs[0], title: "J1", equity: "0.1", salary: 1 },
-          { id: testJobs[1], title: "J2", equity: "0.2", salary: 2 },
-          { id: testJobs[2], title: "J3", equity: null, salary: 3 },
+          { id: testJobs[0].id, title: "Job1", equity: "0.5", salary: 100 },
+          { id: testJobs[2].id, title: "Job3", equity: "0.01", salary: 200 },
         ],
       },
     });
   });
 
   test("works for anon: company w/o jobs", async function () {
-    const resp = await request(app).get(`/companies/c2`);
+    const resp = await request(app).get(`/companies/c3`);
     expect(resp.body).toEqual({
       company: {
-        handle: "c2",
-        name: "C2",
-        description: "Desc2",
-        numEmployees: 2,
-        logoUrl: "http://c2.img",
+        handle: "c3",
+        name: "C3",
+        description: "Desc3",
+        numEmployees: 3,
+        logoUrl: "http://c3.img",
         jobs: [],
       },
     });
@@ -318,6 +417,48 @@ describe("PATCH /companies/:handle", function () {
     expect(resp.statusCode).toEqual(400);
   });
   
+  test("works for company-admin of the company", async function () {
+    await db.query(
+        `INSERT INTO user_roles (username, role, company_handle)
+         VALUES ('u2', 'company-admin', 'c1')`);
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const other = await request(app)
+        .patch(`/companies/c2`)
+        .send({ name: "C2-new" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(other.statusCode).toEqual(403);
+  });
+
+  test("fails for recruiter grant of the company", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({ name: "C1-new" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works for member of the company", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c2', 'u2', 'recruiter')`);
+    const resp = await request(app)
+        .patch(`/companies/c2`)
+        .send({ name: "C2-new" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const other = await request(app)
+        .patch(`/companies/c3`)
+        .send({ name: "C3-new" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(other.statusCode).toEqual(403);
+  });
+
   test("fails for nonAdmin", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
@@ -358,6 +499,25 @@ describe("DELETE /companies/:handle", function () {
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("works for site-admin role", async function () {
+    await db.query(
+        `INSERT INTO user_roles (username, role) VALUES ('u2', 'site-admin')`);
+    const resp = await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({ deleted: "c1" });
+  });
+
+  test("fails for a company-scoped grant", async function () {
+    await db.query(
+        `INSERT INTO user_roles (username, role, company_handle)
+         VALUES ('u2', 'site-admin', 'c1')`);
+    const resp = await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
   
   test("fails for non admin users", async function () {
     const resp = await request(app)
@@ -373,3 +533,220 @@ describe("DELETE /companies/:handle", function () {
   });
   
 });
+
+/************************************** /companies/:handle/members */
+
+describe("GET /companies/:handle/members", function () {
+  test("works for logged in user", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c1', 'u1', 'owner'), ('c1', 'u2', 'recruiter')`);
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({
+      members: [
+        { username: "u1", firstName: "U1F", lastName: "U1L", role: "owner" },
+        { username: "u2", firstName: "U2F", lastName: "U2L", role: "recruiter" },
+      ],
+    });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/companies/c1/members`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get(`/companies/nope/members`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("POST /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2", role: "owner" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: { companyHandle: "c1", username: "u2", role: "owner" },
+    });
+
+    const entries = await Audit.findAll({ entityType: "member" });
+    expect(entries).toEqual([expect.objectContaining({
+      actor: "u1",
+      action: "create",
+      entityId: "c1/u2",
+      before: null,
+      after: expect.objectContaining({ username: "u2", role: "owner" }),
+    })]);
+  });
+
+  test("works for owner of the company", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c1', 'u2', 'owner')`);
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1", role: "recruiter" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("forbidden for recruiter of the company", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2", role: "owner" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden for owner of another company", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c2', 'u2', 'owner')`);
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2", role: "owner" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request with invalid role", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2", role: "boss" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if already a member", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c1', 'u2', 'recruiter')`);
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2", role: "owner" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "nope", role: "owner" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for owner of the company", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c1', 'u2', 'owner'), ('c1', 'u1', 'recruiter')`);
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u1`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({ removed: "u1" });
+
+    const entries = await Audit.findAll({ entityType: "member" });
+    expect(entries).toEqual([expect.objectContaining({
+      actor: "u2",
+      action: "delete",
+      entityId: "c1/u1",
+      before: expect.objectContaining({ username: "u1", role: "recruiter" }),
+      after: null,
+    })]);
+  });
+
+  test("forbidden for non-member", async function () {
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('c1', 'u1', 'recruiter')`);
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u1`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** restore / purge */
+
+describe("POST /companies/:handle/restore", function () {
+  test("works for admin", async function () {
+    await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const hidden = await request(app).get(`/companies`);
+    expect(hidden.body.companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      company: {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+      },
+    });
+    const jobs = await request(app).get(`/jobs?companyHandle=c1`);
+    expect(jobs.body.total).toEqual(2);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /companies/:handle/purge", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ purged: "c1" });
+
+    const restore = await request(app)
+        .post(`/companies/c1/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(restore.statusCode).toEqual(404);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/purge`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .delete(`/companies/nope/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -5,81 +5,228 @@
 const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../expressError");
+const {
+  ensureLoggedIn,
+  ensureAdmin,
+  requirePermission,
+} = require("../middleware/auth");
+const { getNextCursor } = require("../helpers/pagination");
+const { coerceQueryProperty, parseId } = require("../helpers/query");
+const { sendCsv, wantsCsv } = require("../helpers/csv");
 const Job = require("../models/job");
+const Audit = require("../models/audit");
+const Role = require("../models/role");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
+const jobPublishSchema = require("../schemas/jobPublish.json");
+const jobCloseSchema = require("../schemas/jobClose.json");
 
 const router = new express.Router();
 
+/** Columns of a GET / CSV download. */
+const JOB_CSV_COLUMNS = [
+  "id", "title", "salaryMin", "salaryMax", "salaryCurrency", "salaryPeriod",
+  "equity", "companyHandle", "location", "remotePolicy", "employmentType",
+  "seniority", "status", "postedAt", "expiresAt",
+];
+
+/* Handle of the company posting the job in the URL, for permission checks;
+   null if there's no such job (the route itself then 400s or 404s for those
+   allowed that far). */
+async function jobCompanyHandle(req) {
+  const id = parseId(req.params.id);
+  if (id === null) return null;
+
+  try {
+    const job = await Job.get(id);
+    return job.companyHandle;
+  } catch (err) {
+    if (err instanceof NotFoundError) return null;
+    throw err;
+  }
+}
+
 
 /** POST / { job } =>  { job }
  *
- * company should be { title, salary, equity, companyHandle }
+ * job should be { title, salaryMin, salaryMax, salaryCurrency, salaryPeriod,
+ *                 equity, companyHandle, location, remotePolicy,
+ *                 employmentType, seniority }
+ *   where salaryCurrency is a currency code (default USD); salaryPeriod is
+ *   hourly or annual (default); remotePolicy is remote, hybrid or onsite;
+ *   employmentType is full-time, part-time, contract or internship; and
+ *   seniority is intern, junior, mid, senior or lead. All but title and
+ *   companyHandle are optional. salary still works in place of salaryMin
+ *   and salaryMax, for a single-figure salary.
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * status is draft (the default; publish it with POST /[id]/publish) or
+ * open; expiresAt is when the posting comes down by itself.
+ *
+ * Returns { id, title, salary, salaryMin, salaryMax, salaryCurrency,
+ *           salaryPeriod, equity, companyHandle, location, remotePolicy,
+ *           employmentType, seniority, status, postedAt, expiresAt }
+ *   where salary is the same as salaryMin
  *
- * Authorization required: login, isAdmin
+ * Authorization required: login, jobs:write for the company
  */
 
-router.post("/", ensureLoggedIn, ensureAdmin, async function (req, res, next) {
+router.post("/",
+    ensureLoggedIn,
+    requirePermission("jobs:write", req => req.body.companyHandle),
+    async function (req, res, next) {
   const validator = jsonschema.validate(req.body, jobNewSchema);
   if (!validator.valid) {
     const errs = validator.errors.map(e => e.stack);
     throw new BadRequestError(errs);
   }
 
-  const job = await Job.create(req.body);
+  const job = await Audit.track(
+      { actor: res.locals.user.username, action: "create", entityType: "job" },
+      () => Job.create(req.body));
   return res.status(201).json({ job });
 });
 
 /** GET /  =>
- *   { jobs: [{ id, title, salary, equity, companyHandle }, ...] }
+ *   { jobs: [{ id, title, salary, equity, companyHandle }, ...],
+ *     total, nextCursor }
  *
  * Can filter on provided search filters:
- * - minSalary
- * - hasEquity
+ * - minSalary, maxSalary (annual US dollars; hourly pay and other
+ *   currencies are converted using EXCHANGE_RATES, and jobs match if their
+ *   salary range reaches between the two)
+ * - hasEquity (true or false)
  * - title (will find case-insensitive, partial matches)
- * - companyHandle (case-insensitive, partial matches)
+ * - companyHandle (exact matches; a comma-separated list matches any)
+ * - companyName (will find case-insensitive, partial matches)
+ * - location (will find case-insensitive, partial matches)
+ * - remotePolicy, employmentType, seniority (exact matches; a
+ *   comma-separated list matches any)
+ *
+ * Only open jobs are listed, unless an admin asks for includeClosed=true,
+ * which adds drafts and closed, filled and expired jobs.
+ *
+ * Can page and sort with:
+ * - limit (1-100; all matches if not given), offset
+ * - sort (id, title, salary, equity or companyHandle; default title;
+ *   salary sorts by salaryMin as posted, without converting)
+ * - direction (asc or desc)
+ *
+ * The query string is validated against jobSearch.json; unknown parameters
+ * are a bad request.
+ *
+ * total is the number of jobs matching the filters; nextCursor is the
+ * offset of the next page, or null if there are no more.
+ *
+ * When logged in, each job also has isFavorite, whether you have favorited
+ * it.
  *
- * If min is greater than max in query, throw bad request
+ * With format=csv, or an Accept header preferring text/csv, the jobs are
+ * sent as a jobs.csv download instead (a header line, then a line per job
+ * with the columns in JOB_CSV_COLUMNS), streamed from the database as
+ * they are read.
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
+  const query = { ...req.query };
+  const validator = jsonschema.validate(
+      query, jobSearchSchema, { preValidateProperty: coerceQueryProperty });
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
   
   const {
     minSalary,
+    maxSalary,
     hasEquity,
+    includeClosed,
     title, 
-    companyHandle 
-    } = req.query;
-  let jobs;
-  
-  if( minSalary === undefined 
-      && hasEquity === undefined
-      && title === undefined
-      && companyHandle === undefined){
-    jobs = await Job.findAll();
-  }else{
-    jobs = await Job.findAll({minSalary, hasEquity, title, companyHandle});
+    companyHandle,
+    companyName,
+    location,
+    remotePolicy,
+    employmentType,
+    seniority,
+    limit,
+    offset,
+    sort,
+    direction,
+    format
+    } = query;
+
+  if (minSalary !== undefined
+      && maxSalary !== undefined
+      && minSalary > maxSalary){
+    throw new BadRequestError("Minimum salary cannot be greater than maximum.");
   }
+
+  if (includeClosed && !res.locals.user?.isAdmin) {
+    throw new ForbiddenError("Only admins can list closed jobs");
+  }
+
+  const filters = {
+    minSalary,
+    maxSalary,
+    hasEquity,
+    title,
+    companyHandle: companyHandle && companyHandle.split(","),
+    companyName,
+    location,
+    remotePolicy: remotePolicy && remotePolicy.split(","),
+    employmentType: employmentType && employmentType.split(","),
+    seniority: seniority && seniority.split(","),
+    includeClosed,
+  };
+  const page = { limit, offset, sort, direction };
+
+  if (wantsCsv(req, format)) {
+    return sendCsv(res, "jobs.csv", JOB_CSV_COLUMNS,
+        Job.streamAll(filters, page));
+  }
+  
+  const jobs = await Job.findAll(
+      filters, page, res.locals.user?.username);
+  const total = await Job.count(filters);
+  const nextCursor = getNextCursor(page, jobs.length, total);
   
-  return res.json({ jobs });
+  return res.json({ jobs, total, nextCursor });
 });
 
 /** GET /[id]  =>  { job }
  *
- *  Job is { id, title, salary, equity, companyHandle }
+ *  Job is { id, title, salary, equity, companyHandle, company }
+ *   where company is { handle, name, description, numEmployees, logoUrl }
+ *
+ * When logged in, the job also has isFavorite, whether you have favorited
+ * it.
+ *
+ * Drafts are only shown to those who can edit them.
  *
  * Authorization required: none
  */
 
 router.get("/:id", async function (req, res, next) {
-  const job = await Job.get(req.params.id);
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid job id");
+
+  const user = res.locals.user;
+  const job = await Job.get(id, user?.username);
+
+  if (job.status === "draft") {
+    const canSee = user && (user.isAdmin || await Role.hasPermission(
+        user.username, "jobs:write", job.companyHandle));
+    if (!canSee) throw new NotFoundError(`There is no job with id: ${job.id}`);
+  }
+
   return res.json({ job });
 });
 
@@ -87,41 +234,166 @@ router.get("/:id", async function (req, res, next) {
  *
  * Patches job data.
  *
- * fields can be: { title, salary, equity }
+ * fields can be: { title, salaryMin, salaryMax, salaryCurrency,
+ *                  salaryPeriod, equity, location, remotePolicy,
+ *                  employmentType, seniority, expiresAt }
+ *   or salary, which sets both salaryMin and salaryMax
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salary, salaryMin, salaryMax, salaryCurrency,
+ *           salaryPeriod, equity, companyHandle, location, remotePolicy,
+ *           employmentType, seniority, status, postedAt, expiresAt }
  *
- * Authorization required: login, isAdmin
+ * Authorization required: login, jobs:write for the job's company
  */
 
 router.patch("/:id", 
     ensureLoggedIn, 
-    ensureAdmin, 
+    requirePermission("jobs:write", jobCompanyHandle), 
     async function (req, res, next) {
-        
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid job id");
+
   const validator = jsonschema.validate(req.body, jobUpdateSchema);
   if (!validator.valid) {
     const errs = validator.errors.map(e => e.stack);
     throw new BadRequestError(errs);
   }
 
-  const job = await Job.update(req.params.id, req.body);
+  const job = await Audit.track(
+      { actor: res.locals.user.username, action: "update",
+        entityType: "job", entityId: id },
+      () => Job.update(id, req.body));
+  return res.json({ job });
+});
+
+/** POST /[id]/publish { expiresAt }  =>  { job }
+ *
+ * Publishes a draft job, or reopens a closed one, so it's listed and open
+ * for applications. expiresAt is optional; without it the job keeps the
+ * expiry it had, if any.
+ *
+ * Returns the job, as from GET /[id]
+ *
+ * Authorization required: login, jobs:write for the job's company
+ */
+
+router.post("/:id/publish",
+    ensureLoggedIn,
+    requirePermission("jobs:write", jobCompanyHandle),
+    async function (req, res, next) {
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid job id");
+
+  const validator = jsonschema.validate(req.body, jobPublishSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const job = await Audit.track(
+      { actor: res.locals.user.username, action: "update",
+        entityType: "job", entityId: id },
+      () => Job.publish(id, req.body.expiresAt));
+  return res.json({ job });
+});
+
+/** POST /[id]/close { status }  =>  { job }
+ *
+ * Takes an open job down. status is closed (default) or filled; a closed
+ * or expired job can also be marked filled.
+ *
+ * Returns the job, as from GET /[id]
+ *
+ * Authorization required: login, jobs:write for the job's company
+ */
+
+router.post("/:id/close",
+    ensureLoggedIn,
+    requirePermission("jobs:write", jobCompanyHandle),
+    async function (req, res, next) {
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid job id");
+
+  const validator = jsonschema.validate(req.body, jobCloseSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const job = await Audit.track(
+      { actor: res.locals.user.username, action: "update",
+        entityType: "job", entityId: id },
+      () => Job.close(id, req.body.status));
   return res.json({ job });
 });
 
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: login, isAdmin
+ * Soft-deletes the job: it's hidden until restored with POST /[id]/restore
+ * or purged with DELETE /[id]/purge.
+ *
+ * Authorization: login, jobs:write for the job's company
  */
 
 router.delete("/:id", 
     ensureLoggedIn, 
-    ensureAdmin, 
+    requirePermission("jobs:write", jobCompanyHandle), 
     async function (req, res, next) {
-        
-  await Job.remove(req.params.id);
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid job id");
+
+  await Audit.track(
+      { actor: res.locals.user.username, action: "delete",
+        entityType: "job", entityId: id },
+      () => Job.remove(id));
   return res.json({ deleted: req.params.id });
 });
 
+/** POST /[id]/restore  =>  { job }
+ *
+ * Restores a soft-deleted job. Jobs of a deleted company come back by
+ * restoring the company.
+ *
+ * Returns { id, title, salary, equity, companyHandle }
+ *
+ * Authorization: login, isAdmin
+ */
+
+router.post("/:id/restore", 
+    ensureLoggedIn, 
+    ensureAdmin, 
+    async function (req, res, next) {
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid job id");
+
+  const job = await Audit.track(
+      { actor: res.locals.user.username, action: "restore",
+        entityType: "job", entityId: id },
+      () => Job.restore(id));
+  return res.json({ job });
+});
+
+/** DELETE /[id]/purge  =>  { purged: id }
+ *
+ * Permanently deletes the job, whether or not soft-deleted, with its
+ * applications. This can't be undone.
+ *
+ * Authorization: login, isAdmin
+ */
+
+router.delete("/:id/purge", 
+    ensureLoggedIn, 
+    ensureAdmin, 
+    async function (req, res, next) {
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid job id");
+
+  await Audit.track(
+      { actor: res.locals.user.username, action: "purge",
+        entityType: "job", entityId: id },
+      () => Job.purge(id));
+  return res.json({ purged: req.params.id });
+});
+
 
 module.exports = router;
@@ -12,6 +12,7 @@ const {
   commonAfterAll,
   adminToken,
   nonAdminToken,
+  recruiterToken,
   testJobs
 } = require("./_testCommon");
 
@@ -41,12 +42,82 @@ describe("POST /jobs", function () {
         companyHandle: "c1",
         title: "newJob",
         salary: 100,
+        salaryMin: 100,
+        salaryMax: 100,
+        salaryCurrency: "USD",
+        salaryPeriod: "annual",
         equity: "0.1",
+        location: null,
+        remotePolicy: null,
+        employmentType: null,
+        seniority: null,
+        status: "draft",
+        postedAt: null,
+        expiresAt: null,
         id: expect.any(Number)
       },
     });
   });
 
+  test("ok with job attributes", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({
+          ...newJob,
+          location: "Austin, TX",
+          remotePolicy: "hybrid",
+          employmentType: "contract",
+          seniority: "senior",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job).toEqual(expect.objectContaining({
+      location: "Austin, TX",
+      remotePolicy: "hybrid",
+      employmentType: "contract",
+      seniority: "senior",
+    }));
+  });
+
+  test("ok with salary range", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({
+          title: "newJob",
+          companyHandle: "c1",
+          salaryMin: 50,
+          salaryMax: 70,
+          salaryCurrency: "GBP",
+          salaryPeriod: "hourly",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.job).toEqual(expect.objectContaining({
+      salary: 50,
+      salaryMin: 50,
+      salaryMax: 70,
+      salaryCurrency: "GBP",
+      salaryPeriod: "hourly",
+    }));
+  });
+
+  test("bad request with upside down salary range", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ title: "newJob", companyHandle: "c1",
+                salaryMin: 70, salaryMax: 50 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown remote policy", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, remotePolicy: "sometimes" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/jobs")
@@ -68,6 +139,32 @@ describe("POST /jobs", function () {
     expect(resp.statusCode).toEqual(400);
   });
   
+  test("ok for recruiter of the company", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("fail for recruiter of another company", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, companyHandle: "c2" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("ok for site-admin role", async function () {
+    await db.query(
+        `INSERT INTO user_roles (username, role) VALUES ('u2', 'site-admin')`);
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, companyHandle: "c2" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
   test("fail for non admin users", async function () {
     const resp = await request(app)
         .post("/jobs")
@@ -91,14 +188,53 @@ describe("GET /jobs", function () {
     const resp = await request(app).get("/jobs");
     expect(resp.body).toEqual({
       jobs: testJobs,
+      total: 3,
+      nextCursor: null,
     });
   });
   
+  test("annotates isFavorite when logged in", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body.jobs).toEqual(
+        testJobs.map(j => ({ ...j, isFavorite: false })));
+  });
+
+  test("works: CSV with format=csv", async function () {
+    const resp = await request(app).get("/jobs?format=csv&title=job2");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(resp.headers["content-disposition"])
+        .toEqual('attachment; filename="jobs.csv"');
+
+    const [header, ...lines] = resp.text.trim().split("\n");
+    expect(header).toEqual("id,title,salaryMin,salaryMax,salaryCurrency,"
+        + "salaryPeriod,equity,companyHandle,location,remotePolicy,"
+        + "employmentType,seniority,status,postedAt,expiresAt");
+    const job = testJobs[1];
+    expect(lines).toEqual([[
+      job.id, job.title, job.salaryMin, job.salaryMax, job.salaryCurrency,
+      job.salaryPeriod, job.equity, job.companyHandle, job.location,
+      job.remotePolicy, job.employmentType, job.seniority, job.status,
+      job.postedAt, null,
+    ].map(value => value ?? "").join(",")]);
+  });
+
+  test("works: CSV with Accept header", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .set("accept", "text/csv");
+    expect(resp.text.trim().split("\n").length).toEqual(testJobs.length + 1);
+  });
+
   test("query for title", async function () {
     const resp = await request(app).get("/jobs?title=job1");
     expect(resp.body).toEqual({
       jobs:
         [testJobs[0]],
+      total: 1,
+      nextCursor: null,
     });
   });
   
@@ -107,6 +243,8 @@ describe("GET /jobs", function () {
     expect(resp.body).toEqual({
       jobs:
         [testJobs[1],testJobs[2]],
+      total: 2,
+      nextCursor: null,
     });
   });
     
@@ -115,6 +253,8 @@ describe("GET /jobs", function () {
     expect(resp.body).toEqual({
       jobs:
         [testJobs[0],testJobs[2]],
+      total: 2,
+      nextCursor: null,
     });
   });
   
@@ -123,9 +263,106 @@ describe("GET /jobs", function () {
     expect(resp.body).toEqual({
       jobs:
         [testJobs[1]],
+      total: 1,
+      nextCursor: null,
     });
   });
 
+  test("query for list of companyHandles", async function () {
+    const resp = await request(app).get("/jobs?companyHandle=c1,c2");
+    expect(resp.body.jobs).toEqual(testJobs);
+  });
+
+  test("bad request for malformed companyHandle list", async function () {
+    const resp = await request(app).get("/jobs?companyHandle=c1,");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("query for companyName", async function () {
+    const resp = await request(app).get("/jobs?companyName=c1");
+    expect(resp.body.jobs).toEqual([testJobs[0], testJobs[2]]);
+  });
+
+  test("query for salary range", async function () {
+    const resp = await request(app).get("/jobs?minSalary=120&maxSalary=180");
+    expect(resp.body.jobs).toEqual([testJobs[1]]);
+  });
+
+  test("query for job attributes", async function () {
+    const resp = await request(app)
+        .get("/jobs?remotePolicy=remote,hybrid&seniority=junior");
+    expect(resp.body.jobs).toEqual([testJobs[2]]);
+  });
+
+  test("query for location", async function () {
+    const resp = await request(app).get("/jobs?location=boston");
+    expect(resp.body.jobs).toEqual([testJobs[2]]);
+  });
+
+  test("bad request for unknown employment type", async function () {
+    const resp = await request(app).get("/jobs?employmentType=gig");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("includeClosed for admins", async function () {
+    await db.query(
+        `UPDATE jobs SET status = 'closed' WHERE id = $1`, [testJobs[0].id]);
+
+    let resp = await request(app).get("/jobs");
+    expect(resp.body.total).toEqual(2);
+    resp = await request(app)
+        .get("/jobs?includeClosed=true")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.total).toEqual(3);
+  });
+
+  test("forbidden includeClosed for non-admins", async function () {
+    const resp = await request(app)
+        .get("/jobs?includeClosed=true")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request if minSalary > maxSalary", async function () {
+    const resp = await request(app).get("/jobs?minSalary=200&maxSalary=100");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("pages and sorts", async function () {
+    const resp = await request(app)
+        .get("/jobs?sort=salary&direction=desc&limit=2");
+    expect(resp.body).toEqual({
+      jobs: [testJobs[2], testJobs[1]],
+      total: 3,
+      nextCursor: 2,
+    });
+  });
+
+  test("bad request for sort column not in whitelist", async function () {
+    const resp = await request(app).get("/jobs?sort=password");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("hasEquity=false does not filter", async function () {
+    const resp = await request(app).get("/jobs?hasEquity=false");
+    expect(resp.body.jobs).toEqual(testJobs);
+  });
+
+  test("bad request for non-numeric minSalary", async function () {
+    const resp = await request(app).get("/jobs?minSalary=lots");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for non-boolean hasEquity", async function () {
+    const resp = await request(app).get("/jobs?hasEquity=yes");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for unknown query parameter", async function () {
+    const resp = await request(app).get("/jobs?salary=100");
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -145,7 +382,16 @@ describe("GET /jobs/:id", function () {
   test("works for anon", async function () {
     const resp = await request(app).get(`/jobs/${testJobs[0].id}`);
     expect(resp.body).toEqual({
-      job: testJobs[0],
+      job: {
+        ...testJobs[0],
+        company: {
+          handle: "c1",
+          name: "C1",
+          description: "Desc1",
+          numEmployees: 1,
+          logoUrl: "http://c1.img",
+        },
+      },
     });
   });
 
@@ -153,6 +399,126 @@ describe("GET /jobs/:id", function () {
     const resp = await request(app).get(`/jobs/0`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("bad request for invalid or out of range id", async function () {
+    for (let id of ["nope", "-1", "99999999999"]) {
+      const resp = await request(app).get(`/jobs/${id}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("drafts are only shown to those who can edit them", async function () {
+    const { rows: [draft] } = await db.query(
+        `INSERT INTO jobs (title, company_handle)
+         VALUES ('Draft', 'c1')
+         RETURNING id`);
+
+    let resp = await request(app).get(`/jobs/${draft.id}`);
+    expect(resp.statusCode).toEqual(404);
+    resp = await request(app)
+        .get(`/jobs/${draft.id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+    resp = await request(app)
+        .get(`/jobs/${draft.id}`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body.job.status).toEqual("draft");
+  });
+});
+
+/************************************** POST /jobs/:id/publish */
+
+describe("POST /jobs/:id/publish", function () {
+  test("works for company recruiter", async function () {
+    const { rows: [draft] } = await db.query(
+        `INSERT INTO jobs (title, company_handle)
+         VALUES ('Draft', 'c1')
+         RETURNING id`);
+    const resp = await request(app)
+        .post(`/jobs/${draft.id}/publish`)
+        .send({ expiresAt: "2999-01-01T00:00:00Z" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body.job).toEqual(expect.objectContaining({
+      id: draft.id,
+      status: "open",
+      postedAt: expect.any(String),
+      expiresAt: expect.any(String),
+    }));
+
+    const listResp = await request(app).get("/jobs?title=draft");
+    expect(listResp.body.jobs.map(j => j.id)).toEqual([draft.id]);
+  });
+
+  test("bad request if already open", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobs[0].id}/publish`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid expiresAt", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobs[0].id}/publish`)
+        .send({ expiresAt: "soon" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for invalid id", async function () {
+    const resp = await request(app)
+        .post(`/jobs/nope/publish`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobs[0].id}/publish`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /jobs/:id/close */
+
+describe("POST /jobs/:id/close", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobs[0].id}/close`)
+        .send({ status: "filled" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("filled");
+
+    const listResp = await request(app).get("/jobs");
+    expect(listResp.body.jobs).toEqual([testJobs[1], testJobs[2]]);
+  });
+
+  test("bad request with unknown status", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobs[0].id}/close`)
+        .send({ status: "draft" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post(`/jobs/${testJobs[0].id}/close`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for invalid id", async function () {
+    const resp = await request(app)
+        .post(`/jobs/nope/close`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for invalid id without admin", async function () {
+    const resp = await request(app)
+        .post(`/jobs/99999999999/close`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
 });
 
 /************************************** PATCH /jobs/:handle */
@@ -168,11 +534,9 @@ describe("PATCH /jobs/:id", function () {
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       job: {
-        id: testJobs[0].id,
+        ...testJobs[0],
         title:"jobUpdated",
-        salary:testJobs[0].salary,
         equity:"0.8",
-        companyHandle: testJobs[0].companyHandle,
       },
     });
   });
@@ -216,6 +580,31 @@ describe("PATCH /jobs/:id", function () {
     expect(resp.statusCode).toEqual(400);
   });
   
+  test("works for recruiter of the job's company", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobs[0].id}`)
+        .send({ title: "J1-new" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.title).toEqual("J1-new");
+  });
+
+  test("fails for recruiter of another company", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobs[1].id}`)
+        .send({ title: "J2-new" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("fails for recruiter on no such job", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/0`)
+        .send({ title: "new" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("fails for nonAdmin", async function () {
     const resp = await request(app)
         .patch(`/jobs/c1`)
@@ -257,6 +646,20 @@ describe("DELETE /jobs/:id", function () {
     expect(resp.statusCode).toEqual(404);
   });
   
+  test("works for recruiter of the job's company", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({ deleted: `${testJobs[0].id}` });
+  });
+
+  test("fails for recruiter of another company", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("fails for non admin users", async function () {
     const resp = await request(app)
         .delete(`/jobs/c1`)
@@ -271,3 +674,57 @@ describe("DELETE /jobs/:id", function () {
   });
   
 });
+
+/************************************** restore / purge */
+
+describe("POST /jobs/:id/restore", function () {
+  test("works for admin", async function () {
+    await request(app)
+        .delete(`/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const hidden = await request(app).get(`/jobs/${testJobs[0].id}`);
+    expect(hidden.statusCode).toEqual(404);
+
+    const resp = await request(app)
+        .post(`/jobs/${testJobs[0].id}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ job: testJobs[0] });
+  });
+
+  test("forbidden for recruiter", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobs[0].id}/restore`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post(`/jobs/${testJobs[0].id}/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /jobs/:id/purge", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobs[0].id}/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ purged: `${testJobs[0].id}` });
+  });
+
+  test("forbidden for recruiter", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobs[0].id}/purge`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/0/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
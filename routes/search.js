@@ -0,0 +1,51 @@
+"use strict";
+
+/** Routes for searching across companies and jobs. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { coerceQueryProperty } = require("../helpers/query");
+const Company = require("../models/company");
+const Job = require("../models/job");
+
+const searchSchema = require("../schemas/search.json");
+
+const router = new express.Router();
+
+
+/** GET /?q=text  =>
+ *   { companies: [{ handle, name, numEmployees, logoUrl, rank, snippet }, ...],
+ *     jobs: [{ id, title, salary, equity, companyHandle, companyName,
+ *              rank, snippet }, ...] }
+ *
+ * Full-text search of company names and descriptions, and of job titles
+ * and the names of the companies posting them. Each list is best match
+ * first; snippet is HTML-escaped, with the matched words wrapped in
+ * <mark></mark>.
+ *
+ * q understands quoted phrases, "or" and -excluded words.
+ * limit (1-100, default 10) caps each list.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  const query = { ...req.query };
+  const validator = jsonschema.validate(
+      query, searchSchema, { preValidateProperty: coerceQueryProperty });
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { q, limit } = query;
+  const companies = await Company.search(q, limit);
+  const jobs = await Job.search(q, limit);
+
+  return res.json({ companies, jobs });
+});
+
+
+module.exports = router;
@@ -0,0 +1,89 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobs
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon: grouped by type", async function () {
+    const resp = await request(app).get("/search?q=c1");
+    expect(resp.body).toEqual({
+      companies: [
+        {
+          handle: "c1",
+          name: "C1",
+          numEmployees: 1,
+          logoUrl: "http://c1.img",
+          rank: expect.any(Number),
+          snippet: "<mark>C1</mark>: Desc1",
+        },
+      ],
+      jobs: [
+        {
+          ...testJobs[0],
+          companyName: "C1",
+          rank: expect.any(Number),
+          snippet: "Job1 at <mark>C1</mark>",
+        },
+        {
+          ...testJobs[2],
+          companyName: "C1",
+          rank: expect.any(Number),
+          snippet: "Job3 at <mark>C1</mark>",
+        },
+      ],
+    });
+  });
+
+  test("ranks title matches above company name matches", async function () {
+    await db.query(`
+      INSERT INTO jobs (title, salary_min, equity, company_handle, status)
+      VALUES ('Remote Python Developer', 100, NULL, 'c2', 'open')`);
+    await db.query(`
+      UPDATE companies SET name = 'Remote Python Co' WHERE handle = 'c3'`);
+    await db.query(`
+      INSERT INTO jobs (title, salary_min, equity, company_handle, status)
+      VALUES ('Accountant', 100, NULL, 'c3', 'open')`);
+
+    const resp = await request(app).get("/search?q=remote python");
+    expect(resp.body.jobs.map(j => j.title))
+        .toEqual(["Remote Python Developer", "Accountant"]);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3"]);
+  });
+
+  test("works: no matches", async function () {
+    const resp = await request(app).get("/search?q=nothing");
+    expect(resp.body).toEqual({ companies: [], jobs: [] });
+  });
+
+  test("works: limit", async function () {
+    const resp = await request(app).get("/search?q=c1&limit=1");
+    expect(resp.body.jobs.length).toEqual(1);
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown parameter", async function () {
+    const resp = await request(app).get("/search?q=c1&type=jobs");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
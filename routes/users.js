@@ -10,11 +10,22 @@ const {
   ensureAdmin,
   ensureAdminOrCurrUser 
   } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const { BadRequestError, ForbiddenError } = require("../expressError");
+const { getNextCursor } = require("../helpers/pagination");
+const { parseId } = require("../helpers/query");
 const User = require("../models/user");
+const EmailVerification = require("../models/emailVerification");
+const Role = require("../models/role");
+const Audit = require("../models/audit");
+const SavedSearch = require("../models/savedSearch");
+const Favorite = require("../models/favorite");
 const { createToken } = require("../helpers/tokens");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const roleGrantSchema = require("../schemas/roleGrant.json");
+const savedSearchNewSchema = require("../schemas/savedSearchNew.json");
 
 const router = express.Router();
 
@@ -42,28 +53,48 @@ router.post("/",
     throw new BadRequestError(errs);
   }
 
-  const user = await User.register(req.body);
+  const user = await Audit.track(
+      { actor: res.locals.user.username, action: "create", entityType: "user" },
+      () => User.register(req.body));
   const token = createToken(user);
   return res.status(201).json({ user, token });
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *             total, nextCursor }
  *
  * Returns list of all users.
  *
+ * Can page and sort with:
+ * - limit (1-100; all users if not given), offset
+ * - sort (username, firstName, lastName or email; default username)
+ * - direction (asc or desc)
+ *
+ * total is the number of users; nextCursor is the offset of the next page,
+ * or null if there are no more.
+ *
  * Authorization required: login
  **/
 
 router.get("/", ensureLoggedIn, ensureAdmin, async function (req, res, next) {
-  const users = await User.findAll();
-  return res.json({ users });
+  const { limit, offset, sort, direction } = req.query;
+  const page = { limit, offset, sort, direction };
+
+  const users = await User.findAll(page);
+  const total = await User.count();
+  const nextCursor = getNextCursor(page, users.length, total);
+
+  return res.json({ users, total, nextCursor });
 });
 
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin,
+ *           jobs, memberships }
+ *   where jobs is [{ id, title, companyHandle, companyName, state }, ...]
+ *   and memberships is [{ companyHandle, companyName, role }, ...]
  *
  * Authorization required: login, isAdminOrCurrUser
  **/
@@ -81,7 +112,11 @@ router.get("/:username",
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, password, email, isAdmin }
+ *
+ * Only admins can change isAdmin. Changing password or isAdmin signs the
+ * user out everywhere (their existing tokens stop working). Changing email
+ * marks it unverified and mails a token for /auth/verify-email.
  *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
@@ -99,12 +134,128 @@ router.patch("/:username",
     throw new BadRequestError(errs);
   }
 
-  const user = await User.update(req.params.username, req.body);
+  if (req.body.isAdmin !== undefined && !res.locals.user.isAdmin) {
+    throw new ForbiddenError("Only admins can change isAdmin");
+  }
+
+  const user = await Audit.track(
+      { actor: res.locals.user.username, action: "update",
+        entityType: "user", entityId: req.params.username },
+      () => User.update(req.params.username, req.body));
   return res.json({ user });
 });
 
 
+/** POST /[username]/email-verification  =>  { sent: true }
+ *
+ * Mails a new token for /auth/verify-email to the user's email.
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.post("/:username/email-verification",
+            ensureLoggedIn,
+            ensureAdminOrCurrUser,
+            async function (req, res, next) {
+
+  await EmailVerification.send(req.params.username);
+  return res.json({ sent: true });
+});
+
+
+/** POST /[username]/sign-out-everywhere  =>  { signedOut: username }
+ *
+ * Makes every token and refresh token issued to the user so far stop
+ * working, including the one used for this request.
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.post("/:username/sign-out-everywhere",
+            ensureLoggedIn,
+            ensureAdminOrCurrUser,
+            async function (req, res, next) {
+
+  await Audit.track(
+      { actor: res.locals.user.username, action: "update",
+        entityType: "user", entityId: req.params.username },
+      () => User.revokeTokens(req.params.username));
+  return res.json({ signedOut: req.params.username });
+});
+
+
+/** GET /[username]/roles  =>  { roles: [{ id, role, companyHandle }, ...] }
+ *
+ * Lists the roles granted to the user; companyHandle is null for site-wide
+ * roles.
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.get("/:username/roles",
+           ensureLoggedIn,
+           ensureAdminOrCurrUser,
+           async function (req, res, next) {
+
+  const roles = await Role.findForUser(req.params.username);
+  return res.json({ roles });
+});
+
+
+/** POST /[username]/roles { role, companyHandle }
+ *    =>  { granted: { id, username, role, companyHandle } }
+ *
+ * Grants a role to the user. companyHandle is required for company-scoped
+ * roles (company-admin, recruiter) and not allowed for site-wide ones.
+ *
+ * Authorization required: login, isAdmin
+ **/
+
+router.post("/:username/roles",
+            ensureLoggedIn,
+            ensureAdmin,
+            async function (req, res, next) {
+
+  const validator = jsonschema.validate(req.body, roleGrantSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const granted = await Audit.track(
+      { actor: res.locals.user.username, action: "create",
+        entityType: "grant" },
+      () => Role.grant(
+          req.params.username, req.body.role, req.body.companyHandle));
+  return res.status(201).json({ granted });
+});
+
+
+/** DELETE /[username]/roles/[id]  =>  { revoked: id }
+ *
+ * Authorization required: login, isAdmin
+ **/
+
+router.delete("/:username/roles/:id",
+              ensureLoggedIn,
+              ensureAdmin,
+              async function (req, res, next) {
+
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid grant id");
+
+  await Audit.track(
+      { actor: res.locals.user.username, action: "delete",
+        entityType: "grant", entityId: id },
+      () => Role.revoke(req.params.username, id));
+  return res.json({ revoked: id });
+});
+
+
 /** DELETE /[username]  =>  { deleted: username }
+ *
+ * Soft-deletes the user: they can't log in and are hidden until restored
+ * with POST /[username]/restore or purged with DELETE /[username]/purge.
  *
  * Authorization required: login, isAdminOrCurrUser
  **/
@@ -114,9 +265,316 @@ router.delete("/:username",
               ensureAdminOrCurrUser,
               async function (req, res, next) {
                   
-  await User.remove(req.params.username);
+  await Audit.track(
+      { actor: res.locals.user.username, action: "delete",
+        entityType: "user", entityId: req.params.username },
+      () => User.remove(req.params.username));
   return res.json({ deleted: req.params.username });
 });
 
 
+/** POST /[username]/restore  =>  { user }
+ *
+ * Restores a soft-deleted user, with their applications.
+ *
+ * Returns { username, firstName, lastName, email, isAdmin }
+ *
+ * Authorization required: login, isAdmin
+ **/
+
+router.post("/:username/restore",
+            ensureLoggedIn,
+            ensureAdmin,
+            async function (req, res, next) {
+
+  const user = await Audit.track(
+      { actor: res.locals.user.username, action: "restore",
+        entityType: "user", entityId: req.params.username },
+      () => User.restore(req.params.username));
+  return res.json({ user });
+});
+
+
+/** DELETE /[username]/purge  =>  { purged: username }
+ *
+ * Permanently deletes the user, whether or not soft-deleted, with their
+ * applications. This can't be undone.
+ *
+ * Authorization required: login, isAdmin
+ **/
+
+router.delete("/:username/purge",
+              ensureLoggedIn,
+              ensureAdmin,
+              async function (req, res, next) {
+
+  await Audit.track(
+      { actor: res.locals.user.username, action: "purge",
+        entityType: "user", entityId: req.params.username },
+      () => User.purge(req.params.username));
+  return res.json({ purged: req.params.username });
+});
+
+
+/** POST /[username]/searches { name, filters }  =>  { search }
+ *
+ * Saves a named job search. filters can include any of the GET /jobs
+ * filters: { title, minSalary, maxSalary, hasEquity, companyHandle,
+ * companyName, location, remotePolicy, employmentType, seniority }, with
+ * the ones that take comma-separated lists there given as arrays
+ *
+ * Returns { id, name, filters, createdAt, lastCheckedAt }
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.post("/:username/searches",
+            ensureLoggedIn,
+            ensureAdminOrCurrUser,
+            async function (req, res, next) {
+
+  const validator = jsonschema.validate(req.body, savedSearchNewSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { minSalary, maxSalary } = req.body.filters;
+  if (minSalary !== undefined
+      && maxSalary !== undefined
+      && minSalary > maxSalary){
+    throw new BadRequestError("Minimum salary cannot be greater than maximum.");
+  }
+
+  const search = await SavedSearch.create(req.params.username, req.body);
+  return res.status(201).json({ search });
+});
+
+
+/** GET /[username]/searches  =>
+ *   { searches: [{ id, name, filters, createdAt, lastCheckedAt, newCount },
+ *                ...] }
+ *
+ * newCount is the number of matching jobs posted since the search was last
+ * checked.
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.get("/:username/searches",
+           ensureLoggedIn,
+           ensureAdminOrCurrUser,
+           async function (req, res, next) {
+
+  const searches = await SavedSearch.findAll(req.params.username);
+  return res.json({ searches });
+});
+
+
+/** GET /[username]/searches/[id]  =>  { search }
+ *
+ * Returns { id, name, filters, createdAt, lastCheckedAt, newCount }
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.get("/:username/searches/:id",
+           ensureLoggedIn,
+           ensureAdminOrCurrUser,
+           async function (req, res, next) {
+
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid search id");
+
+  const search = await SavedSearch.get(req.params.username, id);
+  return res.json({ search });
+});
+
+
+/** POST /[username]/searches/[id]/check  =>  { jobs, checkedAt }
+ *
+ * Lists the matching jobs posted since the search was last checked, and
+ * marks it checked now (resetting its newCount).
+ *
+ * jobs is [{ id, title, salary, equity, companyHandle }, ...]
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.post("/:username/searches/:id/check",
+            ensureLoggedIn,
+            ensureAdminOrCurrUser,
+            async function (req, res, next) {
+
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid search id");
+
+  const { jobs, checkedAt } = await SavedSearch.check(req.params.username, id);
+  return res.json({ jobs, checkedAt });
+});
+
+
+/** DELETE /[username]/searches/[id]  =>  { deleted: id }
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.delete("/:username/searches/:id",
+              ensureLoggedIn,
+              ensureAdminOrCurrUser,
+              async function (req, res, next) {
+
+  const id = parseId(req.params.id);
+  if (id === null) throw new BadRequestError("Invalid search id");
+
+  await SavedSearch.remove(req.params.username, id);
+  return res.json({ deleted: id });
+});
+
+
+/** GET /[username]/favorites  =>  { favorites }
+ *
+ * Returns [{ id, title, salary, equity, status, expiresAt, favoritedAt,
+ *            company: { handle, name, description, numEmployees,
+ *                       logoUrl } }, ...]
+ *   most recently favorited first; status is open, closed or filled
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.get("/:username/favorites",
+           ensureLoggedIn,
+           ensureAdminOrCurrUser,
+           async function (req, res, next) {
+
+  const favorites = await Favorite.findAll(req.params.username);
+  return res.json({ favorites });
+});
+
+
+/** PUT /[username]/favorites/[jobId]  =>  { favorited: jobId }
+ *
+ * Favorites the job; favoriting it again does nothing.
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.put("/:username/favorites/:jobId",
+           ensureLoggedIn,
+           ensureAdminOrCurrUser,
+           async function (req, res, next) {
+
+  const jobId = parseId(req.params.jobId);
+  if (jobId === null) throw new BadRequestError("Invalid job id");
+
+  await Favorite.add(req.params.username, jobId);
+  return res.json({ favorited: jobId });
+});
+
+
+/** DELETE /[username]/favorites/[jobId]  =>  { unfavorited: jobId }
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.delete("/:username/favorites/:jobId",
+              ensureLoggedIn,
+              ensureAdminOrCurrUser,
+              async function (req, res, next) {
+
+  const jobId = parseId(req.params.jobId);
+  if (jobId === null) throw new BadRequestError("Invalid job id");
+
+  await Favorite.remove(req.params.username, jobId);
+  return res.json({ unfavorited: jobId });
+});
+
+
+/** POST /[username]/jobs/[id] { state }  =>  { applied: jobId }
+ *
+ * Applies the user to the job with the given id, which must be open.
+ *
+ * state is optional and can be "applied" (default) or "interested".
+ *
+ * If REQUIRE_VERIFIED_EMAIL_TO_APPLY is on, the user must have verified
+ * their email first.
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.post("/:username/jobs/:id",
+            ensureLoggedIn,
+            ensureAdminOrCurrUser,
+            async function (req, res, next) {
+
+  const validator = jsonschema.validate(req.body, applicationNewSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const jobId = parseId(req.params.id);
+  if (jobId === null) throw new BadRequestError("Invalid job id");
+
+  const applied = await User.applyToJob(
+      req.params.username, jobId, req.body.state);
+  return res.json(applied);
+});
+
+
+/** GET /[username]/jobs/[id]  =>  { application }
+ *
+ * Returns { username, jobId, state, history }
+ *   where history is [{ fromState, toState, changedAt }, ...]
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.get("/:username/jobs/:id",
+           ensureLoggedIn,
+           ensureAdminOrCurrUser,
+           async function (req, res, next) {
+
+  const jobId = parseId(req.params.id);
+  if (jobId === null) throw new BadRequestError("Invalid job id");
+
+  const application = await User.getApplication(req.params.username, jobId);
+  return res.json({ application });
+});
+
+
+/** PATCH /[username]/jobs/[id] { state }  =>  { application }
+ *
+ * Moves an application to a new state. Allowed moves are:
+ *   interested -> applied
+ *   applied -> interviewing
+ *   interviewing -> offered
+ *   offered -> accepted
+ *   any of the above -> rejected
+ *
+ * Returns { username, jobId, state, history }
+ *
+ * Authorization required: login, isAdminOrCurrUser
+ **/
+
+router.patch("/:username/jobs/:id",
+             ensureLoggedIn,
+             ensureAdminOrCurrUser,
+             async function (req, res, next) {
+
+  const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const jobId = parseId(req.params.id);
+  if (jobId === null) throw new BadRequestError("Invalid job id");
+
+  const application = await User.updateApplicationState(
+      req.params.username, jobId, req.body.state);
+  return res.json({ application });
+});
+
+
 module.exports = router;
@@ -5,6 +5,8 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const Audit = require("../models/audit");
+const { setMailTransport } = require("../helpers/mail");
 
 const {
   commonBeforeAll,
@@ -12,7 +14,9 @@ const {
   commonAfterEach,
   commonAfterAll,
   adminToken,
-  nonAdminToken
+  nonAdminToken,
+  recruiterToken,
+  testJobs
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -185,9 +189,27 @@ describe("GET /users", function () {
           isAdmin: false,
         },
       ],
+      total: 3,
+      nextCursor: null,
     });
   });
 
+  test("pages and sorts", async function () {
+    const resp = await request(app)
+        .get("/users?sort=lastName&direction=desc&limit=1&offset=1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u2"]);
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.nextCursor).toEqual(2);
+  });
+
+  test("bad request for sort column not in whitelist", async function () {
+    const resp = await request(app)
+        .get("/users?sort=password")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get("/users");
@@ -233,7 +255,10 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
         isAdmin: false,
+        jobs: [],
+        memberships: [],
       },
     });
   });
@@ -270,7 +295,10 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
         isAdmin: false,
+        jobs: [],
+        memberships: [],
       },
     });
   });
@@ -397,6 +425,363 @@ describe("PATCH /users/:username", () => {
   
 });
 
+/************************************** restore / purge */
+
+describe("POST /users/:username/restore", function () {
+  test("works for admin: can log in again", async function () {
+    await request(app)
+        .delete(`/users/u2`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    const blocked = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(blocked.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post(`/users/u2/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "user2@user.com",
+        isAdmin: false,
+      },
+    });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u2", password: "password2" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/restore`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/restore`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /users/:username/purge", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u2/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ purged: "u2" });
+  });
+
+  test("forbidden for the user themselves", async function () {
+    const resp = await request(app)
+        .delete(`/users/u2/purge`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .delete(`/users/nope/purge`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** email verification */
+
+describe("email verification", function () {
+  let sentMail;
+
+  beforeEach(function () {
+    sentMail = [];
+    setMailTransport({ async send(message) { sentMail.push(message); } });
+  });
+
+  afterEach(function () {
+    setMailTransport();
+    User.requireVerifiedEmailToApply = false;
+  });
+
+  test("resend works for current user", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/email-verification`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({ sent: true });
+    expect(sentMail.map(m => m.to)).toEqual(["user2@user.com"]);
+  });
+
+  test("resend fails for other non-admin user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/email-verification`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("changing email mails the new address", async function () {
+    await request(app)
+        .patch(`/users/u2`)
+        .send({ email: "changed@user.com" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(sentMail.map(m => m.to)).toEqual(["changed@user.com"]);
+  });
+
+  test("applying blocked until verified when required", async function () {
+    User.requireVerifiedEmailToApply = true;
+
+    const blocked = await request(app)
+        .post(`/users/u2/jobs/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(blocked.statusCode).toEqual(403);
+
+    await request(app)
+        .post(`/users/u2/email-verification`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    const token = sentMail[0].text.match(/^  (\w+)$/m)[1];
+    await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+
+    const resp = await request(app)
+        .post(`/users/u2/jobs/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({ applied: testJobs[1].id });
+  });
+});
+
+/************************************** roles */
+
+describe("GET /users/:username/roles", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u3/roles`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.body).toEqual({
+      roles: [{ id: expect.any(Number), role: "recruiter", companyHandle: "c1" }],
+    });
+  });
+
+  test("unauth for other non-admin user", async function () {
+    const resp = await request(app)
+        .get(`/users/u3/roles`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if user not found", async function () {
+    const resp = await request(app)
+        .get(`/users/nope/roles`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("POST /users/:username/roles", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles`)
+        .send({ role: "recruiter", companyHandle: "c2" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      granted: {
+        id: expect.any(Number),
+        username: "u2",
+        role: "recruiter",
+        companyHandle: "c2",
+      },
+    });
+
+    const entries = await Audit.findAll({ entityType: "grant" });
+    expect(entries).toEqual([expect.objectContaining({
+      actor: "u1",
+      action: "create",
+      entityId: String(resp.body.granted.id),
+      before: null,
+      after: expect.objectContaining({ username: "u2", role: "recruiter" }),
+    })]);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles`)
+        .send({ role: "site-admin" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request if company missing for scoped role", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles`)
+        .send({ role: "recruiter" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/roles`)
+        .send({ role: "recruiter", companyHandle: 7 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("DELETE /users/:username/roles/:id", function () {
+  test("works for admin", async function () {
+    const grant = await request(app)
+        .get(`/users/u3/roles`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const id = grant.body.roles[0].id;
+
+    const resp = await request(app)
+        .delete(`/users/u3/roles/${id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ revoked: id });
+
+    const entries = await Audit.findAll({ entityType: "grant" });
+    expect(entries).toEqual([expect.objectContaining({
+      actor: "u1",
+      action: "delete",
+      entityId: String(id),
+      before: expect.objectContaining({ username: "u3", role: "recruiter" }),
+      after: null,
+    })]);
+
+    const job = await request(app)
+        .patch(`/jobs/${testJobs[0].id}`)
+        .send({ title: "new" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(job.statusCode).toEqual(403);
+  });
+
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u3/roles/1`)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for no such grant", async function () {
+    const resp = await request(app)
+        .delete(`/users/u3/roles/0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** token revocation */
+
+describe("token revocation", function () {
+  async function loginU1() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body;
+  }
+
+  test("admin demoting a user invalidates their token", async function () {
+    await User.update("u3", { isAdmin: true });
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u3", password: "password3" });
+    const u3Token = loginResp.body.token;
+
+    const demoteResp = await request(app)
+        .patch(`/users/u3`)
+        .send({ isAdmin: false })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(demoteResp.body.user.isAdmin).toEqual(false);
+
+    const resp = await request(app)
+        .get("/users")
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("non-admin cannot change isAdmin", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2`)
+        .send({ isAdmin: true })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("changing password invalidates old tokens", async function () {
+    const { token, refreshToken } = await loginU1();
+    await request(app)
+        .patch(`/users/u1`)
+        .send({ password: "new-password" })
+        .set("authorization", `Bearer ${token}`);
+
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("sign out everywhere", async function () {
+    const first = await loginU1();
+    const second = await loginU1();
+
+    const resp = await request(app)
+        .post(`/users/u1/sign-out-everywhere`)
+        .set("authorization", `Bearer ${first.token}`);
+    expect(resp.body).toEqual({ signedOut: "u1" });
+
+    const entries = await Audit.findAll({ entityType: "user" });
+    expect(entries).toEqual([expect.objectContaining({
+      actor: "u1",
+      action: "update",
+      entityId: "u1",
+      changes: { token_version: { before: 0, after: 1 } },
+    })]);
+
+    for (let { token, refreshToken } of [first, second]) {
+      const userResp = await request(app)
+          .get(`/users/u1`)
+          .set("authorization", `Bearer ${token}`);
+      expect(userResp.statusCode).toEqual(401);
+
+      const refreshResp = await request(app)
+          .post("/auth/refresh")
+          .send({ refreshToken });
+      expect(refreshResp.statusCode).toEqual(401);
+    }
+
+    const { token } = await loginU1();
+    const newResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${token}`);
+    expect(newResp.statusCode).toEqual(200);
+  });
+
+  test("sign out everywhere fails for other non-admin user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/sign-out-everywhere`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("sign out everywhere not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/sign-out-everywhere`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** DELETE /users/:username */
 
 describe("DELETE /users/:username", function () {
@@ -442,3 +827,460 @@ describe("DELETE /users/:username", function () {
   });
   
 });
+
+/************************************** POST /users/:username/jobs/:id */
+
+describe("POST /users/:username/jobs/:id", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ applied: testJobs[0].id });
+  });
+
+  test("bad request if job is closed", async function () {
+    await db.query(
+        `UPDATE jobs SET status = 'closed' WHERE id = $1`, [testJobs[1].id]);
+    const resp = await request(app)
+        .post(`/users/u2/jobs/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works for current user", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/jobs/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({ applied: testJobs[1].id });
+
+    const userResp = await request(app)
+        .get(`/users/u2`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(userResp.body.user.jobs).toEqual([{
+      id: testJobs[1].id,
+      title: "Job2",
+      companyHandle: "c2",
+      companyName: "C2",
+      state: "applied",
+    }]);
+  });
+
+  test("works: starting as interested", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/jobs/${testJobs[1].id}`)
+        .send({ state: "interested" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({ applied: testJobs[1].id });
+
+    const appResp = await request(app)
+        .get(`/users/u2/jobs/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(appResp.body.application.state).toEqual("interested");
+  });
+
+  test("bad request for invalid starting state", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/jobs/${testJobs[1].id}`)
+        .send({ state: "offered" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobs[0].id}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("fails for non-admin, non-current user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request for invalid job id", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/abc`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for job ids out of range", async function () {
+    for (const id of ["99999999999", "-1"]) {
+      const resp = await request(app)
+          .post(`/users/u2/jobs/${id}`)
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request if already applied", async function () {
+    await request(app)
+        .post(`/users/u1/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id */
+
+describe("GET /users/:username/jobs/:id", function () {
+  test("works for current user", async function () {
+    await User.applyToJob("u2", testJobs[0].id);
+    const resp = await request(app)
+        .get(`/users/u2/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u2",
+        jobId: testJobs[0].id,
+        state: "applied",
+        history: [{
+          fromState: null,
+          toState: "applied",
+          changedAt: expect.any(String),
+        }],
+      },
+    });
+  });
+
+  test("bad request for invalid job id", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/jobs/abc`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if not applied", async function () {
+    const resp = await request(app)
+        .get(`/users/u2/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("fails for non-admin, non-current user", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  test("works for current user", async function () {
+    await User.applyToJob("u2", testJobs[0].id);
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${testJobs[0].id}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body.application.state).toEqual("interviewing");
+    expect(resp.body.application.history.map(h => h.toState)).toEqual(
+        ["applied", "interviewing"]);
+  });
+
+  test("bad request for illegal transition", async function () {
+    await User.applyToJob("u2", testJobs[0].id);
+    await User.updateApplicationState("u2", testJobs[0].id, "rejected");
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${testJobs[0].id}`)
+        .send({ state: "offered" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for unknown state", async function () {
+    await User.applyToJob("u2", testJobs[0].id);
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${testJobs[0].id}`)
+        .send({ state: "ghosted" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for invalid job id", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/abc`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if not applied", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${testJobs[0].id}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${testJobs[0].id}`)
+        .send({ state: "interviewing" });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /users/:username/searches */
+
+describe("POST /users/:username/searches", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post("/users/u2/searches")
+        .send({ name: "equity", filters: { hasEquity: true } })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      search: {
+        id: expect.any(Number),
+        name: "equity",
+        filters: { hasEquity: true },
+        createdAt: expect.any(String),
+        lastCheckedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("bad request with invalid filters", async function () {
+    const resp = await request(app)
+        .post("/users/u2/searches")
+        .send({ name: "bad", filters: { salary: 10 } })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if minSalary is more than maxSalary", async function () {
+    const resp = await request(app)
+        .post("/users/u2/searches")
+        .send({ name: "bad", filters: { minSalary: 200, maxSalary: 100 } })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message)
+        .toEqual("Minimum salary cannot be greater than maximum.");
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post("/users/u1/searches")
+        .send({ name: "equity", filters: {} })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+describe("GET /users/:username/searches", function () {
+  test("works with new counts", async function () {
+    await db.query(`UPDATE jobs SET posted_at = NOW() - INTERVAL '2 days'`);
+    const { body } = await request(app)
+        .post("/users/u2/searches")
+        .send({ name: "all", filters: {} })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    await db.query(
+        `UPDATE saved_searches
+         SET last_checked_at = NOW() - INTERVAL '1 day'
+         WHERE id = $1`,
+        [body.search.id]);
+    await db.query(
+        `INSERT INTO jobs (title, salary_min, equity, company_handle,
+                           status, posted_at)
+         VALUES ('New', 10, '0', 'c1', 'open', NOW() - INTERVAL '1 hour')`);
+
+    const resp = await request(app)
+        .get("/users/u2/searches")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body.searches).toEqual([
+      expect.objectContaining({ name: "all", newCount: 1 }),
+    ]);
+
+    const checkResp = await request(app)
+        .post(`/users/u2/searches/${body.search.id}/check`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(checkResp.body).toEqual({
+      jobs: [expect.objectContaining({ title: "New" })],
+      checkedAt: expect.any(String),
+    });
+
+    // jobs from before the check aren't new any more
+    await db.query(
+        `UPDATE jobs SET posted_at = posted_at - INTERVAL '1 hour'`);
+    const getResp = await request(app)
+        .get(`/users/u2/searches/${body.search.id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(getResp.body.search.newCount).toEqual(0);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/users/u2/searches");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /users/:username/searches/:id", function () {
+  test("not found for no such search", async function () {
+    const resp = await request(app)
+        .get("/users/u2/searches/0")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request for invalid id", async function () {
+    const resp = await request(app)
+        .get("/users/u2/searches/nope")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for id out of range", async function () {
+    const resp = await request(app)
+        .get("/users/u2/searches/99999999999")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("DELETE /users/:username/searches/:id", function () {
+  test("works", async function () {
+    const { body } = await request(app)
+        .post("/users/u2/searches")
+        .send({ name: "all", filters: {} })
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    const resp = await request(app)
+        .delete(`/users/u2/searches/${body.search.id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({ deleted: body.search.id });
+  });
+
+  test("not found for no such search", async function () {
+    const resp = await request(app)
+        .delete("/users/u2/searches/0")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/favorites */
+
+describe("PUT /users/:username/favorites/:jobId", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .put(`/users/u2/favorites/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({ favorited: testJobs[1].id });
+
+    const jobResp = await request(app)
+        .get(`/jobs/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(jobResp.body.job.isFavorite).toEqual(true);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .put("/users/u2/favorites/0")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for a draft job", async function () {
+    const { rows: [draft] } = await db.query(
+        `INSERT INTO jobs (title, company_handle)
+         VALUES ('Draft', 'c1')
+         RETURNING id`);
+    const resp = await request(app)
+        .put(`/users/u2/favorites/${draft.id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+
+    const listResp = await request(app)
+        .get("/users/u2/favorites")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(listResp.body.favorites).toEqual([]);
+  });
+
+  test("bad request for invalid job id", async function () {
+    const resp = await request(app)
+        .put("/users/u2/favorites/nope")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for job id out of range", async function () {
+    const resp = await request(app)
+        .put("/users/u2/favorites/99999999999")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .put(`/users/u1/favorites/${testJobs[1].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+describe("GET /users/:username/favorites", function () {
+  test("works", async function () {
+    await request(app)
+        .put(`/users/u2/favorites/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    const resp = await request(app)
+        .get("/users/u2/favorites")
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({
+      favorites: [{
+        id: testJobs[0].id,
+        title: testJobs[0].title,
+        salary: testJobs[0].salary,
+        equity: testJobs[0].equity,
+        status: testJobs[0].status,
+        expiresAt: testJobs[0].expiresAt,
+        favoritedAt: expect.any(String),
+        company: expect.objectContaining({ handle: testJobs[0].companyHandle }),
+      }],
+    });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/users/u2/favorites");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/favorites/:jobId", function () {
+  test("works", async function () {
+    await request(app)
+        .put(`/users/u2/favorites/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    const resp = await request(app)
+        .delete(`/users/u2/favorites/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.body).toEqual({ unfavorited: testJobs[0].id });
+  });
+
+  test("not found if not a favorite", async function () {
+    const resp = await request(app)
+        .delete(`/users/u2/favorites/${testJobs[0].id}`)
+        .set("authorization", `Bearer ${nonAdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
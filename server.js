@@ -1,8 +1,20 @@
 "use strict";
 
 const app = require("./app");
+const db = require("./db");
 const { PORT } = require("./config");
 
-app.listen(PORT, function () {
+const server = app.listen(PORT, function () {
   console.log(`Server started!`);
 });
+
+// On SIGTERM (e.g. a redeploy), stop taking new requests, let the ones in
+// progress finish, then close the database connections so the process can
+// exit.
+process.on("SIGTERM", function () {
+  console.log("SIGTERM received, shutting down");
+  server.close(async function () {
+    await db.end();
+    console.log("Server stopped");
+  });
+});